@@ -0,0 +1,109 @@
+// api/back-in-stock.js
+// Receives Shopify `inventory_levels/update` or `products/update` webhooks and queues the
+// restock email for everyone on the waitlist of each variant that is sellable again.
+//
+// Subscribers only join while a variant is sold out, so the waitlist itself is the record
+// of the "0" state: a variant counts as restocked when it is available and still has active
+// subscribers. Sending to a long waitlist takes longer than Shopify waits for a webhook
+// response, so this only queues the restock and answers; the maintenance job's ?task=outbox
+// run sends the emails (lib/waitlist/restocks.js). Email settings are checked there, not here:
+// a restock that arrives before they're set stays queued instead of failing the webhook, which
+// Shopify would keep retrying.
+
+import { queueRestock } from "../lib/waitlist/restocks.js";
+import { shopifyGraphql } from "../lib/shopify.js";
+import { verifySignedRequest, releaseReplayKey } from "../lib/webhook-auth.js";
+
+const SHOP = process.env.SHOP;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+const SHOPIFY_WEBHOOK_SECRET_PREVIOUS = process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS || "";
+
+function safeParse(body) {
+  try { return JSON.parse(body); } catch { return null; }
+}
+
+// Returns the variant GIDs that may have come back in stock for this webhook.
+async function candidateVariantIds(topic, payload) {
+  if (topic === "inventory_levels/update") {
+    if (!payload?.inventory_item_id || !(Number(payload.available) > 0)) return [];
+    const data = await shopifyGraphql(
+      `
+        query InventoryItemVariant($id: ID!) {
+          inventoryItem(id: $id) {
+            variant { id }
+          }
+        }
+      `,
+      { id: `gid://shopify/InventoryItem/${payload.inventory_item_id}` }
+    );
+    const variantId = data?.inventoryItem?.variant?.id;
+    return variantId ? [variantId] : [];
+  }
+
+  if (topic === "products/update") {
+    return (payload?.variants || [])
+      .filter((v) => v?.id && Number(v.inventory_quantity) > 0)
+      .map((v) => v.admin_graphql_api_id || `gid://shopify/ProductVariant/${v.id}`);
+  }
+
+  return [];
+}
+
+// ---------- handler ----------
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const missing = [
+    !SHOP && "SHOP",
+    !ADMIN_TOKEN && "ADMIN_TOKEN",
+    !SHOPIFY_WEBHOOK_SECRET && "SHOPIFY_WEBHOOK_SECRET",
+  ].filter(Boolean);
+  if (missing.length) return res.status(500).json({ error: `Missing required env vars: ${missing.join(", ")}` });
+
+  let raw = "";
+  try {
+    raw = await new Promise((resolve) => {
+      let data = "";
+      req.on("data", (chunk) => (data += chunk));
+      req.on("end", () => resolve(data));
+    });
+  } catch {
+    return res.status(400).json({ error: "Unable to read body" });
+  }
+
+  // Only Shopify-signed webhooks are accepted here, never Flow signatures
+  const verification = req.headers["x-shopify-hmac-sha256"]
+    ? verifySignedRequest(req, raw, {
+        shopifySecrets: [SHOPIFY_WEBHOOK_SECRET, SHOPIFY_WEBHOOK_SECRET_PREVIOUS],
+      })
+    : { ok: false, reason: "Missing signature" };
+  if (!verification.ok) {
+    return res.status(401).json({ error: verification.reason });
+  }
+
+  const topic = req.headers["x-shopify-topic"];
+  const payload = safeParse(raw);
+  if (!payload) {
+    return res.status(400).json({ error: "Invalid JSON payload" });
+  }
+
+  try {
+    const variantIds = await candidateVariantIds(topic, payload);
+    console.log("back-in-stock: webhook received", { topic, candidates: variantIds.length });
+
+    const queued = [];
+    for (const variantId of variantIds) {
+      if (await queueRestock(variantId)) queued.push(variantId);
+    }
+
+    console.log("back-in-stock: restocks queued", { topic, queued });
+    return res.status(200).json({ success: true, topic, queued });
+  } catch (err) {
+    console.error("back-in-stock error:", err);
+    releaseReplayKey(verification.replayKey);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+}
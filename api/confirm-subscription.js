@@ -0,0 +1,113 @@
+// api/confirm-subscription.js
+// Double opt-in confirmation for back-in-stock signups (WAITLIST_DOUBLE_OPT_IN=true).
+//
+// GET  /api/confirm-subscription?token=...  shows a page with a "Confirm" button, so link
+//                                           scanners that prefetch URLs can't confirm anyone.
+// POST /api/confirm-subscription?token=...  moves the pending entry to active and sends the
+//                                           "you're on the list" email. With
+//                                           WAITLIST_SYNC_CUSTOMERS=true the signup is recorded
+//                                           on the customer here, with confirmed opt-in consent
+//                                           when the signup ticked the marketing box.
+//
+// Tokens are signed and expire with the pending entry (lib/waitlist/confirmation.js).
+
+import { verifyConfirmToken } from "../lib/waitlist/confirmation.js";
+import { confirmSubscription } from "../lib/waitlist/index.js";
+import { fetchSignupVariant, sendSubscribedEmail } from "../lib/waitlist/signup-emails.js";
+import { findWaitlistCustomer, syncWaitlistCustomer, SYNC_CUSTOMERS } from "../lib/waitlist/customers.js";
+import { missingUnsubscribeConfig } from "../lib/unsubscribe.js";
+import { sendStatusPage } from "../lib/status-page.js";
+import { missingEmailConfig } from "../lib/email/index.js";
+
+const SHOP = process.env.SHOP;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const WAITLIST_CONFIRM_SECRET = process.env.WAITLIST_CONFIRM_SECRET;
+
+const EXPIRED_PAGE = {
+  title: "This link has expired",
+  message: "Confirmation links are only valid for a short while. Please sign up again on the product page.",
+};
+
+// The subscription is already active at this point, so a failed customer sync or email is
+// logged, not surfaced.
+async function completeSignup({ email, variantId, acceptsMarketing, locale }) {
+  const customer = await findWaitlistCustomer(email).catch((err) => {
+    console.warn("confirm-subscription: customer lookup failed", { error: err.message });
+    return null;
+  });
+  if (SYNC_CUSTOMERS) {
+    try {
+      const customerId = await syncWaitlistCustomer({
+        customer,
+        email,
+        locale,
+        variantId,
+        acceptsMarketing,
+        confirmed: true,
+      });
+      console.log("confirm-subscription: customer synced", { customerId, created: !customer });
+    } catch (err) {
+      console.error("confirm-subscription: customer sync failed", { error: err.message });
+    }
+  }
+  try {
+    const variant = await fetchSignupVariant(variantId);
+    if (!variant) return;
+    await sendSubscribedEmail({ email, variantGid: variantId, variant, firstName: customer?.firstName, locale });
+  } catch (err) {
+    console.error("confirm-subscription: welcome email failed", err);
+  }
+}
+
+// ---------- handler ----------
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const missing = [
+    !SHOP && "SHOP",
+    !ADMIN_TOKEN && "ADMIN_TOKEN",
+    ...missingEmailConfig(),
+    !WAITLIST_CONFIRM_SECRET && "WAITLIST_CONFIRM_SECRET",
+    ...missingUnsubscribeConfig(),
+  ].filter(Boolean);
+  if (missing.length) return res.status(500).json({ error: `Missing required env vars: ${missing.join(", ")}` });
+
+  const token = req.query?.token;
+  const signup = verifyConfirmToken(token);
+  if (!signup) {
+    // Expired and tampered links look the same from here
+    return sendStatusPage(res, 400, EXPIRED_PAGE);
+  }
+
+  if (req.method === "GET") {
+    return sendStatusPage(res, 200, {
+      title: "Confirm your back-in-stock alert",
+      message: `We'll email ${signup.email} as soon as this item is back.`,
+      form: { action: `/api/confirm-subscription?token=${encodeURIComponent(token)}`, label: "Confirm" },
+    });
+  }
+
+  try {
+    const { subscription, result } = await confirmSubscription(signup);
+    console.log("confirm-subscription: processed", { id: subscription?.id, result });
+
+    if (result === "expired") return sendStatusPage(res, 410, EXPIRED_PAGE);
+    if (result === "not_found") {
+      return sendStatusPage(res, 404, {
+        title: "Nothing to confirm",
+        message: "We couldn't find a pending signup for this link. Please sign up again on the product page.",
+      });
+    }
+    if (result === "confirmed") await completeSignup({ ...signup, locale: subscription.locale });
+
+    return sendStatusPage(res, 200, {
+      title: "You're on the list ✨",
+      message: `Thanks! We'll email ${signup.email} as soon as this item is back in stock.`,
+    });
+  } catch (err) {
+    console.error("confirm-subscription error:", err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+}
@@ -0,0 +1,160 @@
+// api/discount-redemption.js
+// Receives Shopify `orders/create` / `orders/paid` webhooks and syncs discount redemption back to
+// the customer, so Shopify Email segments can exclude people who already used their code.
+//
+// Codes on the order are matched against the campaign codes stored on the ordering customer by
+// generate-discount. On a match we set `<campaign>_discount_used` to true and record the order ID,
+// redemption time and discounted amount for revenue attribution. Both topics can fire for the
+// same order; the second run sees the order ID already recorded and skips it.
+
+import { shopifyGraphql, assertNoUserErrors } from "../lib/shopify.js";
+import { verifySignedRequest, releaseReplayKey } from "../lib/webhook-auth.js";
+import { CAMPAIGNS } from "../lib/campaigns.js";
+
+const SHOP = process.env.SHOP;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+const SHOPIFY_WEBHOOK_SECRET_PREVIOUS = process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS || "";
+const TOPICS = new Set(["orders/create", "orders/paid"]);
+
+function safeParse(body) {
+  try { return JSON.parse(body); } catch { return null; }
+}
+
+async function fetchCustomerMetafields(customerGid) {
+  const data = await shopifyGraphql(
+    `
+      query CustomerCampaignMetafields($id: ID!) {
+        customer(id: $id) {
+          metafields(first: 250) {
+            nodes { namespace key value }
+          }
+        }
+      }
+    `,
+    { id: customerGid }
+  );
+  const values = new Map();
+  for (const mf of data?.customer?.metafields?.nodes || []) {
+    values.set(`${mf.namespace}.${mf.key}`, mf.value);
+  }
+  return values;
+}
+
+// Campaigns whose stored code was used on this order, with the matching order line.
+function matchRedemptions(order, metafields) {
+  const orderCodes = new Map(
+    (order.discount_codes || []).map((d) => [String(d.code || "").trim().toUpperCase(), d])
+  );
+  const matches = [];
+  for (const campaign of Object.values(CAMPAIGNS)) {
+    const { namespace, code: codeKey } = campaign.metafields;
+    const issued = String(metafields.get(`${namespace}.${codeKey}`) || "").trim().toUpperCase();
+    if (issued && orderCodes.has(issued)) {
+      matches.push({ campaign, discount: orderCodes.get(issued) });
+    }
+  }
+  return matches;
+}
+
+async function recordRedemption({ customerGid, order, orderGid, campaign, discount }) {
+  const { namespace } = campaign.metafields;
+  const metafield = (key, type, value) => ({ ownerId: customerGid, namespace, key, type, value });
+
+  const data = await shopifyGraphql(
+    `
+      mutation RecordDiscountRedemption($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `,
+    {
+      metafields: [
+        metafield(campaign.metafields.used, "boolean", "true"),
+        metafield(campaign.metafields.orderId, "single_line_text_field", orderGid),
+        metafield(campaign.metafields.redeemedAt, "date_time", order.created_at || new Date().toISOString()),
+        metafield(
+          campaign.metafields.amount,
+          "money",
+          JSON.stringify({ amount: String(discount.amount ?? "0"), currency_code: order.currency })
+        ),
+      ],
+    }
+  );
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+  return { campaign: campaign.key, code: discount.code, orderId: orderGid, amount: discount.amount };
+}
+
+// ---------- handler ----------
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!SHOP || !ADMIN_TOKEN || !SHOPIFY_WEBHOOK_SECRET) {
+    return res.status(500).json({
+      error: "Missing required env vars: SHOP, ADMIN_TOKEN, SHOPIFY_WEBHOOK_SECRET",
+    });
+  }
+
+  let raw = "";
+  try {
+    raw = await new Promise((resolve) => {
+      let data = "";
+      req.on("data", (chunk) => (data += chunk));
+      req.on("end", () => resolve(data));
+    });
+  } catch {
+    return res.status(400).json({ error: "Unable to read body" });
+  }
+
+  // Only Shopify-signed webhooks are accepted here, never Flow signatures
+  const verification = req.headers["x-shopify-hmac-sha256"]
+    ? verifySignedRequest(req, raw, {
+        shopifySecrets: [SHOPIFY_WEBHOOK_SECRET, SHOPIFY_WEBHOOK_SECRET_PREVIOUS],
+      })
+    : { ok: false, reason: "Missing signature" };
+  if (!verification.ok) {
+    return res.status(401).json({ error: verification.reason });
+  }
+
+  const topic = req.headers["x-shopify-topic"];
+  if (!TOPICS.has(topic)) {
+    return res.status(200).json({ success: true, skipped: `Unhandled topic ${topic}` });
+  }
+
+  const order = safeParse(raw);
+  if (!order?.id) {
+    return res.status(400).json({ error: "Invalid order payload" });
+  }
+
+  const customerId = order.customer?.id;
+  if (!customerId || !(order.discount_codes || []).length) {
+    return res.status(200).json({ success: true, redemptions: [] });
+  }
+
+  try {
+    const customerGid = order.customer.admin_graphql_api_id || `gid://shopify/Customer/${customerId}`;
+    const metafields = await fetchCustomerMetafields(customerGid);
+    const orderGid = order.admin_graphql_api_id || `gid://shopify/Order/${order.id}`;
+
+    const redemptions = [];
+    for (const { campaign, discount } of matchRedemptions(order, metafields)) {
+      const { namespace, orderId: orderIdKey } = campaign.metafields;
+      if (metafields.get(`${namespace}.${orderIdKey}`) === orderGid) continue; // already recorded
+      redemptions.push(await recordRedemption({ customerGid, order, orderGid, campaign, discount }));
+    }
+
+    console.log("discount-redemption: order processed", { topic, orderId: orderGid, redemptions });
+    return res.status(200).json({ success: true, redemptions });
+  } catch (err) {
+    console.error("discount-redemption error:", err);
+    releaseReplayKey(verification.replayKey);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+}
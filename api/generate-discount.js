@@ -1,11 +1,29 @@
 // api/generate-discount.js
-// Vercel serverless function for Shopify Flow -> Unique discount code per customer
+// Vercel serverless function for Shopify Flow -> Unique discount code per customer per campaign
+// Pick the campaign with { "campaign": "birthday", ... } in the body or ?campaign=birthday
+// (defaults to "welcome"); see lib/campaigns.js for the definitions.
+// The welcome email is written in the customer's language: `locale` from the payload when Flow
+// sends it, otherwise the customer's locale in Shopify.
 
-const API_VERSION = "2025-10";
 const SHOP = process.env.SHOP;                  // e.g. "1dkprr-fx.myshopify.com"
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;    // shpat_...
-const PRICE_RULE_ID = process.env.PRICE_RULE_ID; // "1668282417377"
+const MAX_CODE_ATTEMPTS = 5;
 const FLOW_HMAC_SECRET = process.env.FLOW_HMAC_SECRET || ""; // optional shared secret
+const FLOW_HMAC_SECRET_PREVIOUS = process.env.FLOW_HMAC_SECRET_PREVIOUS || ""; // accepted during rotation
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || "";
+const SHOPIFY_WEBHOOK_SECRET_PREVIOUS = process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS || "";
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300; // Flow timestamps only
+const SEND_WELCOME_EMAIL = process.env.SEND_WELCOME_EMAIL === "true"; // opt-in: send the welcome email ourselves
+
+import { shopifyFetch, shopifyGraphql, assertNoUserErrors, ShopifyApiError } from "../lib/shopify.js";
+import { getDiscountBackend, codeExists, isCodeCollision } from "../lib/discounts/index.js";
+import { getCampaign, missingCampaignConfig, invalidCampaignConfig, DEFAULT_CAMPAIGN } from "../lib/campaigns.js";
+import { verifySignedRequest, releaseReplayKey } from "../lib/webhook-auth.js";
+import { buildWelcomeDiscountEmail } from "../email/welcome-discount.js";
+import { buildUnsubscribeLink, isUnsubscribeConfigured, LISTS } from "../lib/unsubscribe.js";
+import { isEmailConfigured, SHOP_DOMAIN } from "../lib/email/index.js";
+import { sendOrQueueEmail } from "../lib/email/outbox/index.js";
+import { resolveLocale } from "../email/i18n.js";
 
 // ----- utils -----
 function normalizeCustomerIds(rawCustomerId) {
@@ -17,135 +35,224 @@ function normalizeCustomerIds(rawCustomerId) {
   return { numericId, gid };
 }
 
-async function shopifyFetch(path, init = {}) {
-  const url = `https://${SHOP}/admin/api/${API_VERSION}${path}`;
-  const res = await fetch(url, {
-    ...init,
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": ADMIN_TOKEN,
-      ...(init.headers || {}),
-    },
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Shopify API ${res.status} ${res.statusText}: ${text}`);
-  }
-  return res.json();
-}
-
-function randomCode() {
-  return `MISHMUSH-${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-}
-
-async function getExistingWelcomeCode(customerId) {
+async function getExistingCode(customerId, campaign) {
   // Try to read the metafield if it exists
   try {
     const { numericId } = normalizeCustomerIds(customerId);
+    const { namespace, code: codeKey, emailSent: emailSentKey, emailQueued: emailQueuedKey } = campaign.metafields;
     const data = await shopifyFetch(
-      `/customers/${numericId}/metafields.json?namespace=custom&key=welcome_discount_code`
+      `/customers/${numericId}/metafields.json?namespace=${namespace}`
     );
     // REST returns array for /metafields on a resource; querying by ns/key via params returns all metafields,
     // so filter client-side to be safe.
-    const mf = (data.metafields || []).find(m => m.namespace === "custom" && m.key === "welcome_discount_code");
-    return mf ? { code: mf.value, metafieldId: mf.id } : null;
+    const mf = (data.metafields || []).find(m => m.namespace === namespace && m.key === codeKey);
+    const sent = (data.metafields || []).find(m => m.namespace === namespace && m.key === emailSentKey);
+    const queued = (data.metafields || []).find(m => m.namespace === namespace && m.key === emailQueuedKey);
+    return mf
+      ? {
+          code: mf.value,
+          metafieldId: mf.id,
+          issuedAt: mf.updated_at,
+          emailSent: String(sent?.value) === "true",
+          emailQueued: String(queued?.value) === "true",
+        }
+      : null;
   } catch (e) {
     // Only treat missing resource as "no metafield"; surface other errors.
-    const msg = String(e?.message || e);
-    if (msg.includes("404")) return null;
+    if (e instanceof ShopifyApiError && e.status === 404) return null;
     throw e;
   }
 }
 
-async function writeWelcomeCode(customerId, code) {
+async function writeCampaignCode(customerId, campaign, code) {
   // GraphQL supports setting multiple metafields in a single request.
   const { gid: customerGid } = normalizeCustomerIds(customerId);
+  const { namespace } = campaign.metafields;
   const metafields = [
     {
       ownerId: customerGid,
-      namespace: "custom",
-      key: "welcome_discount_code",
+      namespace,
+      key: campaign.metafields.code,
       type: "single_line_text_field",
       value: code,
     },
     {
       ownerId: customerGid,
-      namespace: "custom",
-      key: "welcome_discount_used",
+      namespace,
+      key: campaign.metafields.used,
       type: "boolean",
       value: "false",
     },
     {
       ownerId: customerGid,
-      namespace: "custom",
-      key: "welcome_email_sent",
+      namespace,
+      key: campaign.metafields.emailSent,
+      type: "boolean",
+      value: "false",
+    },
+    {
+      ownerId: customerGid,
+      namespace,
+      key: campaign.metafields.emailQueued,
       type: "boolean",
       value: "false",
     },
   ];
 
-  const gql = await shopifyFetch("/graphql.json", {
-    method: "POST",
-    body: JSON.stringify({
-      query: `
-        mutation SetWelcomeMetafields($metafields: [MetafieldsSetInput!]!) {
-          metafieldsSet(metafields: $metafields) {
-            metafields {
-              id
-              namespace
-              key
-              type
-              value
-            }
-            userErrors {
-              field
-              message
-              code
-            }
+  const data = await shopifyGraphql(
+    `
+      mutation SetCampaignMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            namespace
+            key
+            type
+            value
+          }
+          userErrors {
+            field
+            message
+            code
           }
         }
-      `,
-      variables: { metafields },
-    }),
-  });
+      }
+    `,
+    { metafields }
+  );
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+
+  const written = data?.metafieldsSet?.metafields || [];
+  return written[0] || null;
+}
+
+// Sets one of the campaign's boolean metafields (emailSent, emailQueued) to true.
+async function setCampaignFlag(customerId, campaign, flag) {
+  const { gid: customerGid } = normalizeCustomerIds(customerId);
+  const data = await shopifyGraphql(
+    `
+      mutation MarkCampaignEmailSent($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `,
+    {
+      metafields: [
+        {
+          ownerId: customerGid,
+          namespace: campaign.metafields.namespace,
+          key: campaign.metafields[flag],
+          type: "boolean",
+          value: "true",
+        },
+      ],
+    }
+  );
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+}
 
-  if (gql?.errors?.length) {
-    throw new Error(
-      `GraphQL errors: ${gql.errors.map((e) => e?.message || String(e)).join(" | ")}`
+// The customer's storefront language; English if it can't be read.
+async function fetchCustomerLocale(customerGid) {
+  try {
+    const data = await shopifyGraphql(
+      `
+        query CustomerLocale($id: ID!) {
+          customer(id: $id) { locale }
+        }
+      `,
+      { id: customerGid }
     );
+    return resolveLocale(data?.customer?.locale);
+  } catch (err) {
+    console.warn("generate-discount: couldn't read customer locale", { error: err.message });
+    return resolveLocale();
   }
-  const userErrors = gql?.data?.metafieldsSet?.userErrors || [];
-  if (userErrors.length) {
-    throw new Error(
-      `metafieldsSet userErrors: ${userErrors
-        .map((e) => e?.message || JSON.stringify(e))
-        .join(" | ")}`
-    );
+}
+
+// Sends the welcome email (lib/email) and flips custom.welcome_email_sent once it was sent.
+// A failed send is queued in the outbox and flips custom.welcome_email_queued instead, so a
+// later Flow run doesn't send it a second time; the maintenance job flips the sent flag when its
+// retry delivers the email. Errors are logged, not thrown: the code exists either way, and both
+// flags staying "false" lets the next Flow run retry an email that couldn't even be queued.
+// Other campaigns leave email to Flow. Returns { emailSent, emailQueued }.
+async function sendWelcomeEmail({ customerId, campaign, email, firstName, locale, code }) {
+  const notSent = { emailSent: false, emailQueued: false };
+  if (!SEND_WELCOME_EMAIL || !campaign.sendsEmail) return notSent;
+  if (!isEmailConfigured() || !email || !isUnsubscribeConfigured()) {
+    console.warn("generate-discount: welcome email skipped", {
+      hasEmailTransport: isEmailConfigured(),
+      hasEmail: Boolean(email),
+      hasUnsubscribeConfig: isUnsubscribeConfigured(),
+    });
+    return notSent;
   }
 
-  const written = gql?.data?.metafieldsSet?.metafields || [];
-  return written[0] || null;
+  const { gid: customerGid, numericId } = normalizeCustomerIds(customerId);
+  const unsubscribe = buildUnsubscribeLink({ email, list: LISTS.MARKETING, customerId: customerGid });
+  const { subject, html, text } = buildWelcomeDiscountEmail({
+    firstName,
+    locale: locale ? resolveLocale(locale) : await fetchCustomerLocale(customerGid),
+    theme: campaign.emailTheme,
+    code,
+    shopDomain: SHOP_DOMAIN,
+    unsubscribeUrl: unsubscribe.url,
+  });
+  let send;
+  try {
+    send = await sendOrQueueEmail({
+      to: email,
+      subject,
+      html,
+      text,
+      headers: unsubscribe.headers,
+      // The maintenance job reads campaign and customer_id to set the flag after a retry
+      tags: { category: "welcome_discount", campaign: campaign.key, customer_id: numericId },
+    });
+  } catch (err) {
+    console.error("generate-discount: welcome email send failed", { error: err.message, status: err.status });
+    return notSent;
+  }
+  if (!send.sent) {
+    console.warn("generate-discount: welcome email queued for retry", { outboxId: send.outboxId, error: send.error });
+  }
+
+  const flag = send.sent ? "emailSent" : "emailQueued";
+  try {
+    await setCampaignFlag(customerId, campaign, flag);
+  } catch (err) {
+    console.error(`generate-discount: failed to set ${campaign.metafields[flag]}`, err);
+  }
+  return { emailSent: send.sent, emailQueued: !send.sent };
 }
 
-async function createDiscountCode(priceRuleId, desiredCode) {
-  const res = await shopifyFetch(`/price_rules/${priceRuleId}/discount_codes.json`, {
-    method: "POST",
-    body: JSON.stringify({ discount_code: { code: desiredCode } }),
-  });
-  return res.discount_code;
+// Per-year campaigns (birthday) issue a new code once the stored one is from an earlier year.
+// Without a readable issue date the stored code is kept, so a customer never gets two.
+function isCurrentCode(existing, campaign) {
+  if (!campaign.perYear) return true;
+  const issuedAt = new Date(existing.issuedAt);
+  if (Number.isNaN(issuedAt.getTime())) return true;
+  return issuedAt.getUTCFullYear() === new Date().getUTCFullYear();
 }
 
 function safeParse(body) {
   try { return JSON.parse(body); } catch { return null; }
 }
 
-function verifyFlowHmac(req, rawBody) {
-  if (!FLOW_HMAC_SECRET) return true; // skip if not set
-  const sent = req.headers["x-flow-signature"] || req.headers["x-shopify-hmac-sha256"];
-  if (!sent) return false;
-  // simple equality on shared secret + raw body; if you want HMAC-SHA256, change accordingly
-  const expected = Buffer.from(FLOW_HMAC_SECRET + rawBody).toString("base64");
-  return sent === expected;
+function verifyRequest(req, rawBody) {
+  const shopifySecrets = [SHOPIFY_WEBHOOK_SECRET, SHOPIFY_WEBHOOK_SECRET_PREVIOUS];
+  const flowSecrets = [FLOW_HMAC_SECRET, FLOW_HMAC_SECRET_PREVIOUS];
+  // Verification stays optional: skip only when no secret is configured at all
+  if (![...shopifySecrets, ...flowSecrets].some(Boolean)) return { ok: true, replayKey: null };
+  return verifySignedRequest(req, rawBody, {
+    shopifySecrets,
+    flowSecrets,
+    toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+  });
 }
 
 // ----- handler -----
@@ -154,8 +261,8 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  if (!SHOP || !ADMIN_TOKEN || !PRICE_RULE_ID) {
-    return res.status(500).json({ error: "Missing required env vars: SHOP, ADMIN_TOKEN, PRICE_RULE_ID" });
+  if (!SHOP || !ADMIN_TOKEN) {
+    return res.status(500).json({ error: "Missing required env vars: SHOP, ADMIN_TOKEN" });
   }
 
   let raw = "";
@@ -169,20 +276,21 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: "Unable to read body" });
   }
 
-  // Optional: verify request authenticity
-  if (!verifyFlowHmac(req, raw)) {
-    return res.status(401).json({ error: "Invalid signature" });
+  // Optional: verify request authenticity (HMAC-SHA256 + replay protection)
+  const verification = verifyRequest(req, raw);
+  if (!verification.ok) {
+    return res.status(401).json({ error: verification.reason });
   }
 
   const payload = safeParse(raw);
-  let customerId, email, first_name;
+  let customerId, email, first_name, locale;
 
   if (payload && payload.customer) {
-    // Flow format: { customer: { id, email, first_name, ... } }
-    ({ id: customerId, email, first_name } = payload.customer);
+    // Flow format: { customer: { id, email, first_name, locale?, ... } }
+    ({ id: customerId, email, first_name, locale } = payload.customer);
   } else if (payload && payload.id) {
     // Webhook format: { id, email, first_name, ... }
-    ({ id: customerId, email, first_name } = payload);
+    ({ id: customerId, email, first_name, locale } = payload);
   } else {
     return res.status(400).json({ error: "Missing customer payload. Expected { customer: { id, ... } } or { id, ... }" });
   }
@@ -191,33 +299,75 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: "Missing customer id" });
   }
 
+  const campaignKey = String(payload.campaign || req.query?.campaign || DEFAULT_CAMPAIGN);
+  const campaign = getCampaign(campaignKey);
+  if (!campaign) {
+    return res.status(400).json({ error: `Unknown campaign "${campaignKey}"` });
+  }
+  const missing = missingCampaignConfig(campaign);
+  if (missing.length) {
+    return res.status(500).json({ error: `Missing required env vars: ${missing.join(", ")}` });
+  }
+  const invalid = invalidCampaignConfig(campaign);
+  if (invalid.length) {
+    return res.status(500).json({ error: `Invalid campaign config: ${invalid.join("; ")}` });
+  }
+
   try {
-    // Idempotency: don’t create a new code if one already exists
-    const existing = await getExistingWelcomeCode(customerId);
-    if (existing?.code) {
-      return res.status(200).json({ success: true, code: existing.code, reused: true });
+    // Idempotency: don’t create a new code if this customer already has one for the campaign
+    const existing = await getExistingCode(customerId, campaign);
+    if (existing?.code && isCurrentCode(existing, campaign)) {
+      // Retry the welcome email if an earlier send was neither delivered nor queued in the outbox
+      const { emailSent, emailQueued } =
+        existing.emailSent || existing.emailQueued
+          ? existing
+          : await sendWelcomeEmail({ customerId, campaign, email, firstName: first_name, locale, code: existing.code });
+      return res.status(200).json({ success: true, campaign: campaign.key, code: existing.code, reused: true, emailSent, emailQueued });
     }
 
-    // Try up to 3 times in case of code collision
+    const { gid: customerGid } = normalizeCustomerIds(customerId);
+    const startsAt = new Date();
+    const endsAt = campaign.validDays
+      ? new Date(startsAt.getTime() + campaign.validDays * 24 * 60 * 60 * 1000)
+      : null;
+    const discounts = getDiscountBackend(campaign);
+
+    // Skip candidates that already exist; retry a few times in case of collision
     let created = null;
-    for (let i = 0; i < 3; i++) {
-      const candidate = randomCode();
+    for (let i = 0; i < MAX_CODE_ATTEMPTS; i++) {
+      const candidate = campaign.codeGenerator.generate();
+      if (await codeExists(candidate)) continue;
       try {
-        created = await createDiscountCode(PRICE_RULE_ID, candidate);
+        created = await discounts.createCode({
+          code: candidate,
+          customerGid,
+          startsAt: startsAt.toISOString(),
+          endsAt: endsAt?.toISOString() || null,
+        });
         break;
       } catch (err) {
-        // If collision (422), retry with a new random code
-        if (!String(err.message || "").includes("422")) throw err;
+        // Taken between the check and the create; retry with a new code
+        if (!isCodeCollision(err)) throw err;
       }
     }
     if (!created) throw new Error("Unable to create a unique discount code after retries.");
 
     // Save to customer metafield for email merge
-    await writeWelcomeCode(customerId, created.code);
+    await writeCampaignCode(customerId, campaign, created.code);
+
+    const { emailSent, emailQueued } = await sendWelcomeEmail({
+      customerId,
+      campaign,
+      email,
+      firstName: first_name,
+      locale,
+      code: created.code,
+    });
 
-    return res.status(200).json({ success: true, code: created.code, reused: false });
+    return res.status(200).json({ success: true, campaign: campaign.key, code: created.code, reused: false, emailSent, emailQueued });
   } catch (err) {
     console.error("generate-discount error:", err);
+    releaseReplayKey(verification.replayKey);
     return res.status(500).json({ error: String(err.message || err) });
   }
 }
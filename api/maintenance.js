@@ -4,19 +4,66 @@
 //
 // Features:
 // ✅ Authenticated cron protection
-// ✅ Paginated fetching of all discount codes
-// ✅ Deletes codes older than 30 days
-// ✅ Retry logic for rate limits
+// ✅ Walks every configured campaign's discount codes page by page
+// ✅ Deletes codes older than the retention period (MAINTENANCE_RETENTION_DAYS, default 8)
+//    in bulk, one request per page instead of one per code
+// ✅ Time budget (MAINTENANCE_TIME_BUDGET_MS, default 45s, under the 60s maxDuration set in
+//    vercel.json): a run that doesn't finish saves a checkpoint (lib/job-state.js) and the next
+//    invocation resumes from it, including the frequent ?task=outbox run, so a long pass goes on
+//    within minutes rather than the next day. ?restart=true discards the checkpoint and starts a
+//    new pass. Dry runs never read or write the checkpoint.
+// ✅ Before/after stats counted while paging, without listing the codes twice
+// ✅ Expiry reminders: unused codes of campaigns we email ourselves (welcome) that are due for
+//    deletion within MAINTENANCE_REMINDER_DAYS (off unless set, e.g. 2) get a "your code expires
+//    soon" email; the send is recorded on the customer so each code is reminded once. Owners
+//    are looked up for those codes only, and reminders the time budget didn't reach are kept
+//    in the checkpoint for the next invocation
+// ✅ Back-in-stock emails: restocks queued by api/back-in-stock.js are sent to their waitlist
+//    (lib/waitlist/restocks.js)
+// ✅ Email outbox retries (lib/email/outbox): failed sends that are due are resent with backoff,
+//    and messages that keep failing are listed in the Slack summary. ?task=outbox runs only
+//    this, the back-in-stock step and an unfinished cleanup pass; vercel.json runs it every
+//    10 minutes, offset by 5 so it never starts together with the daily run (retries claim each
+//    email as well). Sub-daily crons need a Vercel Pro plan; on Hobby, call it from an external
+//    scheduler with the CRON_SECRET bearer token instead. ?retryEmails=false skips the retries.
+// ✅ Dry runs and per-run options via query string:
+//    ?dryRun=true&days=14&onlyUnused=true&skipEmailPending=true&reminderDays=3
+// ✅ Rate-limit-aware retries (shared Shopify client)
 // ✅ Structured logging for observability
 // ✅ Optional Slack summary alert
 
-const API_VERSION = "2025-10";
+import { getDiscountBackend } from "../lib/discounts/index.js";
+import { configuredCampaigns, getCampaign } from "../lib/campaigns.js";
+import { loadCodeOwners } from "../lib/code-owners.js";
+import { loadJobState, saveJobState, clearJobState } from "../lib/job-state.js";
+import { shopifyGraphql, assertNoUserErrors } from "../lib/shopify.js";
+import { buildExpiryReminderEmail } from "../email/expiry-reminder.js";
+import { buildUnsubscribeLink, isUnsubscribeConfigured, LISTS } from "../lib/unsubscribe.js";
+import { isEmailConfigured, SHOP_DOMAIN } from "../lib/email/index.js";
+import { sendOrQueueEmail, retryOutbox } from "../lib/email/outbox/index.js";
+import { processRestocks } from "../lib/waitlist/restocks.js";
+
 const SHOP = process.env.SHOP;
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
-const PRICE_RULE_ID = process.env.PRICE_RULE_ID;
 const CRON_SECRET = process.env.CRON_SECRET;
 const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
-const DAYS_TO_KEEP = 8; // keep codes for 7 days; cron runs daily at 09:00 UTC
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLACK_MAX_LISTED_CODES = 25;
+const SLACK_MAX_LISTED_EMAILS = 10;
+const OUTBOX_REPORT_ATTEMPTS = 3; // report still-failing emails from this many attempts on
+const TASKS = ["all", "outbox"];
+const CHECKPOINT_KEY = "maintenance_checkpoint";
+// Leave headroom under the function's maxDuration (60s, vercel.json) for the checkpoint write
+// and Slack summary
+const TIME_BUDGET_MS = Number(process.env.MAINTENANCE_TIME_BUDGET_MS) || 45000;
+
+// Defaults for each run; every one can be overridden per request via the query string.
+const RETENTION_DAYS = Number(process.env.MAINTENANCE_RETENTION_DAYS) || 8; // delete codes created more than 8 days ago
+const DRY_RUN = process.env.MAINTENANCE_DRY_RUN === "true";
+const ONLY_UNUSED = process.env.MAINTENANCE_ONLY_UNUSED === "true";
+const SKIP_EMAIL_PENDING = process.env.MAINTENANCE_SKIP_EMAIL_PENDING === "true";
+const REMINDER_DAYS = Number(process.env.MAINTENANCE_REMINDER_DAYS) || 0; // days before deletion, 0 = off
+const RETRY_EMAILS = process.env.MAINTENANCE_RETRY_EMAILS !== "false";
 
 // ---------- Utilities ----------
 
@@ -24,128 +71,511 @@ function log(type, msg, data = {}) {
   console.log(JSON.stringify({ type, msg, ...data }));
 }
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+function isOlderThan(dateString, days) {
+  if (!dateString) return false; // e.g. codes on a shared GraphQL discount have no creation date
+  const created = new Date(dateString);
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  return created < cutoff;
+}
 
-async function withRetry(fn, retries = 3, delay = 1000) {
-  try {
-    return await fn();
-  } catch (err) {
-    const msg = err.message || "";
-    if (retries > 0 && /(429|rate limit)/i.test(msg)) {
-      log("retry", "Hit Shopify rate limit — retrying", { retriesLeft: retries });
-      await sleep(delay);
-      return withRetry(fn, retries - 1, delay * 2);
+function parseFlag(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  return ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+// Returns { options } or { error } for an invalid query string.
+function getRunOptions(query = {}) {
+  let retentionDays = RETENTION_DAYS;
+  if (query.days !== undefined && query.days !== "") {
+    retentionDays = Number(query.days);
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+      return { error: "days must be a whole number of at least 1" };
+    }
+  }
+  let reminderDays = REMINDER_DAYS;
+  if (query.reminderDays !== undefined && query.reminderDays !== "") {
+    reminderDays = Number(query.reminderDays);
+    if (!Number.isInteger(reminderDays) || reminderDays < 0) {
+      return { error: "reminderDays must be a whole number of at least 0" };
     }
-    throw err;
   }
+  const task = query.task || "all";
+  if (!TASKS.includes(task)) {
+    return { error: `task must be one of: ${TASKS.join(", ")}` };
+  }
+  return {
+    options: {
+      task,
+      dryRun: parseFlag(query.dryRun, DRY_RUN),
+      retentionDays,
+      reminderDays,
+      onlyUnused: parseFlag(query.onlyUnused, ONLY_UNUSED),
+      skipEmailPending: parseFlag(query.skipEmailPending, SKIP_EMAIL_PENDING),
+      retryEmails: parseFlag(query.retryEmails, RETRY_EMAILS),
+    },
+  };
 }
 
-async function shopifyFetch(path, init = {}) {
-  const url = `https://${SHOP}/admin/api/${API_VERSION}${path}`;
-  const res = await fetch(url, {
-    ...init,
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": ADMIN_TOKEN,
-      ...(init.headers || {}),
-    },
-  });
+// ---------- Core Logic ----------
+
+function emptyStats() {
+  return { total: 0, used: 0, unused: 0, samples: [] };
+}
+
+function addToStats(stats, codes) {
+  stats.total += codes.length;
+  stats.used += codes.filter((c) => c.usage_count > 0).length;
+  stats.unused += codes.filter((c) => c.usage_count === 0).length;
+  for (const c of codes) {
+    if (stats.samples.length >= 5) break;
+    stats.samples.push({ code: c.code, usage_count: c.usage_count, created_at: c.created_at });
+  }
+}
+
+// Decides which codes to delete and why; everything else is counted by skip reason.
+// `ownerLookup` is loadCodeOwners()'s result when skipEmailPending is on. It only applies to
+// campaigns that send their own email (`sendsEmail`): the others never set emailSent. If the
+// time budget cut that scan short, codes without a known owner are kept until a run can check them.
+function planCleanup(codes, campaign, options, ownerLookup, skipped) {
+  const toDelete = [];
+  const skip = (reason) => (skipped[reason] = (skipped[reason] || 0) + 1);
+
+  for (const c of codes) {
+    if (!c.created_at) {
+      skip("no creation date");
+      continue;
+    }
+    if (!isOlderThan(c.created_at, options.retentionDays)) {
+      skip("within retention period");
+      continue;
+    }
+    if (options.onlyUnused && c.usage_count > 0) {
+      skip("already used");
+      continue;
+    }
+    if (ownerLookup && campaign.sendsEmail) {
+      const owner = ownerLookup.owners.get(String(c.code).toUpperCase());
+      if (owner && !owner.emailSent) {
+        skip("customer email not sent yet");
+        continue;
+      }
+      if (!owner && !ownerLookup.complete) {
+        skip("owner not checked (time budget)");
+        continue;
+      }
+    }
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Shopify API ${res.status} ${res.statusText}: ${text}`);
+    const ageDays = Math.floor((Date.now() - new Date(c.created_at).getTime()) / DAY_MS);
+    const usage = c.usage_count > 0 ? `${c.usage_count} uses` : "unused";
+    toDelete.push({
+      ...c,
+      reason: `created ${ageDays}d ago (retention ${options.retentionDays}d), ${usage}`,
+    });
   }
+  return toDelete;
+}
 
-  return res.json();
+function newRun(options) {
+  return {
+    startedAt: new Date().toISOString(),
+    options,
+    campaign: null, // campaign key the cursor belongs to
+    cursor: null,
+    statsBefore: emptyStats(),
+    statsAfter: emptyStats(), // codes left behind, so nothing needs listing twice
+    skipped: {},
+    deleted: 0, // whole pass, like the stats; planned only holds this invocation's codes
+    cleanupDone: false,
+    pendingReminders: [], // expiry reminders a previous invocation ran out of time for
+  };
 }
 
-function isOlderThan(dateString, days) {
-  const created = new Date(dateString);
-  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-  return created < cutoff;
+// Walks every configured campaign page by page, deleting each page's expired codes in bulk.
+// Stops once the time budget is spent and returns where it got to; `complete` says whether
+// every page was covered.
+async function runCleanup(run, { deadline }) {
+  const { options } = run;
+  // An earlier invocation finished the pass and only left reminders to send
+  if (run.cleanupDone) return { complete: true, planned: [], reminderCandidates: [], ownerLookup: null };
+  const campaigns = configuredCampaigns();
+  const emailCampaigns = campaigns.filter((c) => c.sendsEmail);
+  const ownerLookup =
+    options.skipEmailPending && emailCampaigns.length ? await loadCodeOwners(emailCampaigns, { deadline }) : null;
+  const planned = [];
+  const reminderCandidates = [];
+
+  let index = run.campaign ? campaigns.findIndex((c) => c.key === run.campaign) : 0;
+  if (index < 0) {
+    // Campaign config changed since the checkpoint; start that part over
+    index = 0;
+    run.cursor = null;
+  }
+
+  for (; index < campaigns.length; index++) {
+    const campaign = campaigns[index];
+    const backend = getDiscountBackend(campaign);
+    const cursor = run.campaign === campaign.key ? run.cursor : null;
+
+    for await (const { codes: page, next } of backend.listCodePages(cursor)) {
+      const codes = page.map((c) => ({ ...c, campaign: campaign.key }));
+      addToStats(run.statsBefore, codes);
+
+      const toDelete = planCleanup(codes, campaign, options, ownerLookup, run.skipped);
+      if (toDelete.length && !options.dryRun) {
+        await backend.deleteCodes(toDelete);
+        run.deleted = (run.deleted || 0) + toDelete.length;
+        log("cleanup", "Deleted old codes", { campaign: campaign.key, deleted: toDelete.length });
+      }
+      const deleting = new Set(toDelete.map((c) => c.id));
+      addToStats(run.statsAfter, codes.filter((c) => !deleting.has(c.id)));
+      planned.push(...toDelete);
+      if (campaign.sendsEmail) reminderCandidates.push(...findExpiringCodes(codes, options));
+
+      // Move the checkpoint past this page
+      if (next) {
+        run.campaign = campaign.key;
+        run.cursor = next;
+      } else {
+        run.campaign = campaigns[index + 1]?.key || null;
+        run.cursor = null;
+      }
+
+      const moreToDo = Boolean(next) || index < campaigns.length - 1;
+      if (moreToDo && Date.now() >= deadline) {
+        return { complete: false, planned, reminderCandidates, ownerLookup };
+      }
+    }
+  }
+  run.cleanupDone = true;
+  return { complete: true, planned, reminderCandidates, ownerLookup };
 }
 
-// ---------- Core Logic ----------
+// ---------- Expiry reminders ----------
 
-async function fetchAllDiscountCodes() {
-  let codes = [];
-  let nextURL = `/price_rules/${PRICE_RULE_ID}/discount_codes.json?limit=250`;
+function expiresAt(c, options) {
+  return new Date(new Date(c.created_at).getTime() + options.retentionDays * DAY_MS);
+}
 
-  while (nextURL) {
-    const res = await fetch(`https://${SHOP}/admin/api/${API_VERSION}${nextURL}`, {
-      headers: { "X-Shopify-Access-Token": ADMIN_TOKEN },
-    });
+// Unused codes whose deletion falls within the next reminderDays.
+function findExpiringCodes(codes, options) {
+  if (!options.reminderDays) return [];
+  const now = Date.now();
+  return codes.filter((c) => {
+    if (!c.created_at || c.usage_count > 0) return false;
+    const expiry = expiresAt(c, options).getTime();
+    return expiry > now && expiry - now <= options.reminderDays * DAY_MS;
+  });
+}
 
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(`Shopify API ${res.status}: ${text}`);
+async function markReminderSent(owner, campaign) {
+  const data = await shopifyGraphql(
+    `
+      mutation MarkExpiryReminderSent($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `,
+    {
+      metafields: [
+        {
+          ownerId: owner.customerId,
+          namespace: campaign.metafields.namespace,
+          key: campaign.metafields.reminderSentAt,
+          type: "date_time",
+          value: new Date().toISOString(),
+        },
+      ],
     }
+  );
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+}
+
+async function sendReminderEmail(owner, c, options) {
+  const unsubscribe = buildUnsubscribeLink({ email: owner.email, list: LISTS.MARKETING, customerId: owner.customerId });
+  const { subject, html, text } = buildExpiryReminderEmail({
+    firstName: owner.firstName,
+    locale: owner.locale,
+    theme: getCampaign(c.campaign)?.emailTheme,
+    code: c.code,
+    expiresAt: expiresAt(c, options),
+    shopDomain: SHOP_DOMAIN,
+    unsubscribeUrl: unsubscribe.url,
+  });
+  return sendOrQueueEmail({
+    to: owner.email,
+    subject,
+    html,
+    text,
+    headers: unsubscribe.headers,
+    tags: { category: "expiry_reminder", campaign: c.campaign },
+  });
+}
+
+// The fields of a candidate code that the checkpoint keeps between invocations.
+function reminderCandidate(c) {
+  return { code: c.code, campaign: c.campaign, created_at: c.created_at, usage_count: c.usage_count };
+}
+
+// Emails the owner of each expiring code once. Sends that fail are queued in the outbox and
+// retried from there; only if that fails too is the customer left unmarked, so the next run
+// (still inside the reminder window) tries again.
+//
+// Owners are looked up for the candidate codes only, and the whole step stops at the deadline:
+// candidates it didn't get to are kept in run.pendingReminders for the next invocation, which
+// the checkpoint carries over.
+async function sendExpiryReminders(run, newCandidates, options, ownerLookup, deadline) {
+  const result = { sent: [], skipped: {}, failed: 0, deferred: 0 };
+  const skip = (reason) => (result.skipped[reason] = (result.skipped[reason] || 0) + 1);
+  const byCode = new Map([...(run.pendingReminders || []), ...newCandidates.map(reminderCandidate)].map((c) => [c.code, c]));
+  run.pendingReminders = [];
+  const candidates = [...byCode.values()].filter((c) => {
+    if (expiresAt(c, options).getTime() > Date.now()) return true;
+    skip("expired before the reminder");
+    return false;
+  });
+  if (!candidates.length) return result;
+  if ((!isEmailConfigured() || !isUnsubscribeConfigured()) && !options.dryRun) {
+    log("warn", "Expiry reminders skipped: email transport, UNSUBSCRIBE_SECRET or APP_URL not set", {
+      candidates: candidates.length,
+    });
+    skip("email not configured");
+    return result;
+  }
+  const defer = (list) => {
+    run.pendingReminders.push(...list);
+    result.deferred += list.length;
+  };
+  if (Date.now() >= deadline) {
+    defer(candidates);
+    return result;
+  }
 
-    const data = await res.json();
-    codes.push(...(data.discount_codes || []));
+  const { owners, complete } = ownerLookup?.complete
+    ? ownerLookup
+    : await loadCodeOwners(configuredCampaigns().filter((c) => c.sendsEmail), {
+        codes: candidates.map((c) => c.code),
+        deadline,
+      });
+  for (const [idx, c] of candidates.entries()) {
+    if (Date.now() >= deadline) {
+      defer(candidates.slice(idx));
+      break;
+    }
+    const owner = owners.get(String(c.code).toUpperCase());
+    if (!owner && !complete) {
+      // The owner scan ran out of time before reaching this code
+      defer([c]);
+      continue;
+    }
+    if (!owner || owner.campaign !== c.campaign) {
+      skip("no owning customer");
+      continue;
+    }
+    if (owner.used) {
+      skip("already used");
+      continue;
+    }
+    if (owner.reminderSentAt) {
+      skip("reminder already sent");
+      continue;
+    }
+    if (!owner.email) {
+      skip("customer has no email");
+      continue;
+    }
+    if (owner.unsubscribed) {
+      skip("customer unsubscribed");
+      continue;
+    }
 
-    const link = res.headers.get("link");
-    const next = link && link.match(/<([^>]+)>; rel="next"/);
-    nextURL = next ? next[1].replace(`https://${SHOP}/admin/api/${API_VERSION}`, "") : null;
+    const reminder = { code: c.code, campaign: c.campaign, email: owner.email, expiresAt: expiresAt(c, options).toISOString() };
+    if (options.dryRun) {
+      result.sent.push(reminder);
+      continue;
+    }
+    try {
+      const send = await sendReminderEmail(owner, c, options);
+      await markReminderSent(owner, getCampaign(c.campaign));
+      result.sent.push(send.sent ? reminder : { ...reminder, queued: true });
+    } catch (err) {
+      result.failed++;
+      log("error", "Expiry reminder failed", { code: c.code, error: err.message });
+    }
   }
 
-  return codes;
+  log("reminders", options.dryRun ? "Planned expiry reminders" : "Sent expiry reminders", {
+    sent: result.sent.length,
+    failed: result.failed,
+    deferred: result.deferred,
+    skipped: result.skipped,
+  });
+  return result;
 }
 
-async function deleteOldCodes(codes) {
-  const oldCodes = codes.filter((c) => isOlderThan(c.created_at, DAYS_TO_KEEP));
-  if (oldCodes.length === 0) {
-    log("cleanup", "No codes older than threshold", { days: DAYS_TO_KEEP });
-    return 0;
+// ---------- Back-in-stock ----------
+
+const EMPTY_RESTOCK_RESULT = Object.freeze({ queued: 0, variants: [], remaining: 0 });
+
+async function sendRestockEmails(options, deadline) {
+  if ((!isEmailConfigured() || !isUnsubscribeConfigured()) && !options.dryRun) {
+    log("warn", "Back-in-stock emails skipped: email transport, UNSUBSCRIBE_SECRET or APP_URL not set");
+    return EMPTY_RESTOCK_RESULT;
+  }
+  const result = await processRestocks({ deadline, dryRun: options.dryRun });
+  if (result.queued) {
+    log("restocks", options.dryRun ? "Restocks waiting to be sent" : "Sent back-in-stock emails", {
+      queued: result.queued,
+      remaining: result.remaining,
+      notified: result.variants.reduce((sum, v) => sum + v.notified + v.queued, 0),
+      failed: result.variants.reduce((sum, v) => sum + v.failed, 0),
+    });
   }
+  return result;
+}
 
-  let deleted = 0;
-  for (const code of oldCodes) {
-    await withRetry(() =>
-      shopifyFetch(`/price_rules/${PRICE_RULE_ID}/discount_codes/${code.id}.json`, {
-        method: "DELETE",
-      })
+// ---------- Email outbox ----------
+
+const EMPTY_OUTBOX_RESULT = Object.freeze({ due: [], delivered: [], failed: [], dead: [] });
+
+async function markWelcomeEmailSent(entry) {
+  const campaign = getCampaign(entry.tags.campaign);
+  if (!campaign?.metafields.emailSent || !/^\d+$/.test(entry.tags.customer_id || "")) return;
+  const data = await shopifyGraphql(
+    `
+      mutation MarkCampaignEmailSent($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `,
+    {
+      metafields: [
+        {
+          ownerId: `gid://shopify/Customer/${entry.tags.customer_id}`,
+          namespace: campaign.metafields.namespace,
+          key: campaign.metafields.emailSent,
+          type: "boolean",
+          value: "true",
+        },
+      ],
+    }
+  );
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+}
+
+async function retryFailedEmails(options, deadline) {
+  if (!options.retryEmails || !isEmailConfigured()) return EMPTY_OUTBOX_RESULT;
+  const result = await retryOutbox({ deadline, dryRun: options.dryRun });
+  // generate-discount only sets <campaign>_email_sent for welcome emails it sent itself
+  for (const entry of result.delivered.filter((e) => e.tags.category === "welcome_discount")) {
+    await markWelcomeEmailSent(entry).catch((err) =>
+      log("error", "Failed to mark the welcome email as sent", { outboxId: entry.id, error: err.message })
     );
-    deleted++;
   }
+  log("outbox", options.dryRun ? "Emails due for retry" : "Retried failed emails", {
+    due: result.due.length,
+    delivered: result.delivered.length,
+    failed: result.failed.length,
+    dead: result.dead.length,
+  });
+  return result;
+}
 
-  log("cleanup", "Deleted old codes", { deleted, thresholdDays: DAYS_TO_KEEP });
-  return deleted;
+// Slack lines for the outbox; empty when there is nothing worth reporting.
+function outboxSlackLines(outbox, options) {
+  if (!outbox.due.length) return "";
+  if (options.dryRun) return `\n📮 Emails due for retry: ${outbox.due.length}`;
+
+  const troubled = [
+    ...outbox.dead.map((e) => ({ ...e, label: "gave up" })),
+    ...outbox.failed.filter((e) => e.attempts >= OUTBOX_REPORT_ATTEMPTS).map((e) => ({ ...e, label: "still failing" })),
+  ];
+  const listed = troubled.slice(0, SLACK_MAX_LISTED_EMAILS);
+  const more = troubled.length - listed.length;
+  const lines = listed.map(
+    (e) => `• ${e.to} — "${e.subject}" (${e.label} after ${e.attempts} attempts): ${String(e.lastError || "").slice(0, 150)}`
+  );
+  return `\n📮 Email retries: ${outbox.delivered.length} delivered, ${outbox.failed.length} still failing, ${outbox.dead.length} gave up${
+    lines.length ? `\n${lines.join("\n")}` : ""
+  }${more > 0 ? `\n…and ${more} more` : ""}`;
 }
 
-async function getDiscountCodeStats(codes) {
-  const used = codes.filter((c) => c.usage_count > 0).length;
-  const unused = codes.filter((c) => c.usage_count === 0).length;
+async function postToSlack(text) {
+  await fetch(SLACK_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text }),
+  }).catch((err) => log("error", "Slack alert failed", { error: err.message }));
+}
 
-  return {
-    total: codes.length,
-    used,
-    unused,
-    samples: codes.slice(0, 5).map((c) => ({
-      code: c.code,
-      usage_count: c.usage_count,
-      created_at: c.created_at,
-    })),
-  };
+function describeCode(c) {
+  return { code: c.code, campaign: c.campaign, usage_count: c.usage_count, created_at: c.created_at, reason: c.reason };
 }
 
-async function sendSlackSummary(stats, deleted) {
+// Counts cover the whole pass (a resumed run includes earlier invocations); the listed codes are
+// this invocation's.
+async function sendSlackSummary(stats, { deleted, toDelete, skipped, options, complete, resumed, reminders, outbox }) {
   if (!SLACK_WEBHOOK_URL) return;
 
-  const text = `🧹 *Mish Mush Maintenance Summary*\n
+  const verb = options.dryRun ? "Would delete" : "Deleted";
+  const listed = toDelete.slice(0, SLACK_MAX_LISTED_CODES);
+  const more = toDelete.length - listed.length;
+  const skippedLines = Object.entries(skipped).map(([reason, count]) => `• ${reason}: ${count}`);
+  const partial = complete
+    ? ""
+    : options.dryRun
+      ? "\n⏱️ Time budget reached — only part of the codes were checked."
+      : "\n⏱️ Time budget reached — the next run continues from the saved checkpoint.";
+  const reminderLine = options.reminderDays
+    ? `\n• Expiry reminders ${options.dryRun ? "to send" : "sent"} (${options.reminderDays}d before deletion): ${reminders.sent.length}${reminders.failed ? ` (${reminders.failed} failed)` : ""}${reminders.deferred ? ` (${reminders.deferred} left for the next run)` : ""}`
+    : "";
+
+  const text = `🧹 *Mish Mush Maintenance Summary*${options.dryRun ? " _(dry run)_" : ""}\n
 • Total Codes: ${stats.total}
 • Used: ${stats.used}
 • Unused: ${stats.unused}
-• Deleted (>${DAYS_TO_KEEP}d): ${deleted}\n
-Top 5 Codes:\n${stats.samples
-    .map((s) => `• ${s.code} (${s.usage_count} uses, created ${s.created_at.slice(0, 10)})`)
-    .join("\n")}`;
+• ${verb} (>${options.retentionDays}d${options.onlyUnused ? ", unused only" : ""}): ${options.dryRun ? toDelete.length : deleted}${reminderLine}\n
+${verb}${resumed ? " in this invocation" : ""}:\n${listed.map((c) => `• ${c.code} [${c.campaign}] — ${c.reason}`).join("\n") || "• nothing"}${more > 0 ? `\n…and ${more} more` : ""}
+${skippedLines.length ? `\nSkipped:\n${skippedLines.join("\n")}` : ""}${outboxSlackLines(outbox, options)}${partial}`;
 
-  await fetch(SLACK_WEBHOOK_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text }),
-  }).catch((err) => log("error", "Slack alert failed", { error: err.message }));
+  await postToSlack(text);
+}
+
+// ---------- Cleanup pass ----------
+
+// Runs `run` (new or loaded from the checkpoint) until it is done or the deadline passes, then
+// saves the checkpoint or clears it. Returns { complete, finished, planned, reminders }:
+// `complete` covers the code cleanup, `finished` the reminders as well.
+async function runPass(run, { resumed, deadline, timestamp }) {
+  // A resumed run keeps the options it started with so one pass applies one policy
+  const runOptions = run.options;
+  log("start", "🧹 Maintenance job running", {
+    timestamp,
+    options: runOptions,
+    resumedFrom: resumed ? { startedAt: run.startedAt, campaign: run.campaign } : null,
+  });
+
+  const { complete, planned, reminderCandidates, ownerLookup } = await runCleanup(run, { deadline });
+  const reminders = await sendExpiryReminders(run, reminderCandidates, runOptions, ownerLookup, deadline);
+  const finished = complete && !run.pendingReminders.length;
+
+  if (!runOptions.dryRun) {
+    if (finished) {
+      if (resumed) await clearJobState(CHECKPOINT_KEY);
+    } else {
+      await saveJobState(CHECKPOINT_KEY, run);
+    }
+  }
+  return { complete, finished, planned, reminders };
 }
 
 // ---------- Handler ----------
@@ -160,36 +590,124 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
-  if (!SHOP || !ADMIN_TOKEN || !PRICE_RULE_ID) {
+  if (!SHOP || !ADMIN_TOKEN) {
     return res.status(500).json({
-      error: "Missing required env vars: SHOP, ADMIN_TOKEN, PRICE_RULE_ID",
+      error: "Missing required env vars: SHOP, ADMIN_TOKEN",
     });
   }
 
+  const { options, error } = getRunOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   const timestamp = new Date().toISOString();
-  log("start", "🧹 Maintenance job running", { timestamp });
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const restart = parseFlag(req.query?.restart, false);
+
+  if (options.task === "outbox") {
+    try {
+      const restocks = await sendRestockEmails(options, deadline);
+      const outbox = await retryFailedEmails({ ...options, retryEmails: true }, deadline);
+      const report = outbox.failed.length || outbox.dead.length ? outboxSlackLines(outbox, options) : "";
+      if (report && SLACK_WEBHOOK_URL) await postToSlack(`*Mish Mush Email Outbox*${report}`);
+
+      // Carry on with a cleanup pass the daily run left unfinished rather than wait a day for it
+      let cleanup = null;
+      const run = options.dryRun ? null : await loadJobState(CHECKPOINT_KEY);
+      if (run?.options && Date.now() < deadline) {
+        const { finished, planned, reminders } = await runPass(run, { resumed: true, deadline, timestamp });
+        cleanup = { finished, deleted: run.deleted || 0, deletedThisInvocation: planned.length };
+        // One summary per pass; the partial invocations before it are only logged
+        if (finished) {
+          await sendSlackSummary(run.statsAfter, {
+            deleted: run.deleted || 0,
+            toDelete: planned,
+            skipped: run.skipped,
+            options: run.options,
+            complete: true,
+            resumed: true,
+            reminders,
+            outbox: EMPTY_OUTBOX_RESULT,
+          });
+        }
+      }
+      return res.status(200).json({ success: true, timestamp, options, restocks, outbox, cleanup });
+    } catch (err) {
+      log("error", "❌ Outbox retry failed", { error: err.message });
+      return res.status(500).json({ error: String(err.message || err), timestamp });
+    }
+  }
 
   try {
-    const codes = await withRetry(fetchAllDiscountCodes);
-    const statsBefore = await getDiscountCodeStats(codes);
+    // Send emails first so a long cleanup can't starve them of time budget
+    const restocks = await sendRestockEmails(options, deadline);
+    const outbox = await retryFailedEmails(options, deadline);
+
+    // Dry runs never touch the checkpoint, so they always start from the beginning. A restart
+    // drops it straight away, so the abandoned pass can't be resumed by a later invocation.
+    let run = null;
+    if (!options.dryRun) {
+      if (restart) await clearJobState(CHECKPOINT_KEY);
+      else run = await loadJobState(CHECKPOINT_KEY);
+    }
+    const resumed = Boolean(run?.options);
+    if (!resumed) run = newRun(options);
 
-    const deleted = await deleteOldCodes(codes);
+    const { complete, finished, planned, reminders } = await runPass(run, { resumed, deadline, timestamp });
+    const runOptions = run.options;
+    const { statsBefore, statsAfter } = run;
+    const deleted = runOptions.dryRun ? 0 : run.deleted || 0;
 
-    // Recalculate after deletion
-    const remainingCodes = await withRetry(fetchAllDiscountCodes);
-    const statsAfter = await getDiscountCodeStats(remainingCodes);
+    await sendSlackSummary(statsAfter, {
+      deleted,
+      toDelete: planned,
+      skipped: run.skipped,
+      options: runOptions,
+      complete,
+      resumed,
+      reminders,
+      outbox,
+    });
 
-    await sendSlackSummary(statsAfter, deleted);
+    log("success", complete ? "📊 Maintenance complete" : "⏱️ Maintenance paused at time budget", {
+      deleted,
+      dryRun: runOptions.dryRun,
+      complete,
+      statsAfter,
+    });
 
-    log("success", "📊 Maintenance complete", { deleted, statsAfter });
+    const summary = runOptions.dryRun
+      ? `Dry run — would delete ${planned.length} codes older than ${runOptions.retentionDays} days.`
+      : `Deleted ${deleted} codes older than ${runOptions.retentionDays} days.`;
 
     return res.status(200).json({
       success: true,
       timestamp,
+      options: runOptions,
+      complete,
+      resumed,
+      ...(resumed && { runStartedAt: run.startedAt }),
+      // `deleted` covers the whole pass like the stats; the code list only this invocation
       deleted,
+      deletedThisInvocation: runOptions.dryRun ? 0 : planned.length,
+      [runOptions.dryRun ? "wouldDelete" : "deletedCodes"]: planned.map(describeCode),
+      skipped: run.skipped,
+      reminders: {
+        [runOptions.dryRun ? "wouldSend" : "sent"]: reminders.sent,
+        failed: reminders.failed,
+        deferred: reminders.deferred,
+        skipped: reminders.skipped,
+      },
+      restocks,
+      outbox,
       statsBefore,
       statsAfter,
-      message: `Maintenance completed successfully — deleted ${deleted} codes older than ${DAYS_TO_KEEP} days.`,
+      message: finished
+        ? runOptions.dryRun
+          ? summary
+          : `Maintenance completed successfully — ${summary.charAt(0).toLowerCase()}${summary.slice(1)}`
+        : `${summary} Time budget reached; ${runOptions.dryRun ? "remaining codes were not checked." : "the next run resumes from the checkpoint."}`,
     });
   } catch (err) {
     log("error", "❌ Maintenance failed", { error: err.message });
@@ -1,45 +1,68 @@
 // api/notify-interest.js
 // Receives client-initiated POST from Shopify storefront with payload:
-// { variantId: string | number (GID or numeric), email: string }
-// Fetches variant + product info and emails the customer a confirmation.
+// { variantId: string | number (GID or numeric), email: string, locale?: string, acceptsMarketing?: boolean }
+// `locale` is the storefront language (Liquid: {{ request.locale.iso_code }}), falling back to
+// the customer's saved language and then Accept-Language; it is stored with the signup so every
+// email about it uses that language. `acceptsMarketing` must come from an unticked-by-default
+// opt-in checkbox: only `true` records marketing consent.
+// An existing Shopify customer with this email is greeted by first name. With
+// WAITLIST_SYNC_CUSTOMERS=true new signups are also recorded on the customer, creating one if
+// needed (tag, waitlisted-variants metafield; lib/waitlist/customers.js). Under double opt-in
+// that happens in api/confirm-subscription.js instead, once the address is confirmed.
+// Fetches variant + product info, records the waitlist entry and emails the customer a confirmation.
+// With WAITLIST_DOUBLE_OPT_IN=true the entry stays pending and the email carries a signed link to
+// api/confirm-subscription.js instead; the "you're on the list" email follows once it's confirmed.
+// Once the variant is restocked the waitlist is emailed (api/back-in-stock.js, lib/waitlist/restocks.js).
+//
+// Abuse protection (the Origin allow-list alone is skipped by any non-browser client):
+// body size limit (413), per-IP and per-email rate limits (429 + Retry-After, lib/rate-limit),
+// optional honeypot / Cloudflare Turnstile (lib/bot-check.js) and email syntax +
+// disposable-domain validation (422).
 
-const API_VERSION = "2025-10";
 const SHOP = process.env.SHOP;
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN; 
-const RESEND_API_KEY = process.env.RESEND_API_KEY; 
-import { buildConfirmSubscriptionEmail } from "../email/confirm-subscription.js";
-
-async function shopifyFetch(path, init = {}) {
-  const method = init.method || "GET";
-  const startedAt = Date.now();
-  console.log("notify-interest: Shopify request", { path, method });
-  const url = `https://${SHOP}/admin/api/${API_VERSION}${path}`;
-  const res = await fetch(url, {
-    ...init,
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": ADMIN_TOKEN,
-      ...(init.headers || {}),
-    },
-  });
-  const durationMs = Date.now() - startedAt;
-  console.log("notify-interest: Shopify response", {
-    path,
-    status: res.status,
-    statusText: res.statusText,
-    durationMs,
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Shopify API ${res.status} ${res.statusText}: ${text}`);
-  }
-  return res.json();
-}
+const DOUBLE_OPT_IN = process.env.WAITLIST_DOUBLE_OPT_IN === "true";
+const MAX_BODY_BYTES = Number(process.env.NOTIFY_MAX_BODY_BYTES) || 4096;
+const IP_LIMIT = Number(process.env.NOTIFY_RATE_LIMIT_IP) || 10; // signups per IP per window
+const IP_WINDOW_MS = 10 * 60 * 1000;
+const EMAIL_LIMIT = Number(process.env.NOTIFY_RATE_LIMIT_EMAIL) || 5; // signups per address per window
+const EMAIL_WINDOW_MS = 60 * 60 * 1000;
+import { subscribe, STATUS } from "../lib/waitlist/index.js";
+import { fetchSignupVariant, sendOptInEmail, sendSubscribedEmail } from "../lib/waitlist/signup-emails.js";
+import { findWaitlistCustomer, syncWaitlistCustomer, SYNC_CUSTOMERS } from "../lib/waitlist/customers.js";
+import { isConfirmationConfigured } from "../lib/waitlist/confirmation.js";
+import { missingUnsubscribeConfig } from "../lib/unsubscribe.js";
+import { rateLimit } from "../lib/rate-limit/index.js";
+import { validateEmail } from "../lib/email-validation.js";
+import { checkBot } from "../lib/bot-check.js";
+import { resolveLocale } from "../email/i18n.js";
+import { missingEmailConfig } from "../lib/email/index.js";
 
 function safeParse(body) {
   try { return JSON.parse(body); } catch { return null; }
 }
 
+function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.headers["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+function tooManyRequests(res, limited) {
+  res.setHeader("Retry-After", String(limited.retryAfterSeconds));
+  return res.status(429).json({ error: "Too many requests, please try again later" });
+}
+
+// Recording the signup on the customer is for merchandising only: failures are logged and the
+// signup goes ahead.
+async function syncCustomer(args) {
+  try {
+    const customerId = await syncWaitlistCustomer(args);
+    console.log("notify-interest: customer synced", { customerId, created: !args.customer });
+  } catch (err) {
+    console.error("notify-interest: customer sync failed", { error: err.message });
+  }
+}
+
 // ---------- handler ----------
 export default async function handler(req, res) {
   // --- Strict CORS: allow only mishmushkids.com ---
@@ -72,28 +95,84 @@ export default async function handler(req, res) {
       return res.status(403).json({ error: "CORS origin not allowed" });
     }
     res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Expose-Headers", "Retry-After");
     res.setHeader("Vary", "Origin");
   }
 
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
-  if (!SHOP || !ADMIN_TOKEN || !RESEND_API_KEY)
-    return res.status(500).json({ error: "Missing required env vars: SHOP, ADMIN_TOKEN, RESEND_API_KEY" });
+  const missing = [
+    !SHOP && "SHOP",
+    !ADMIN_TOKEN && "ADMIN_TOKEN",
+    ...missingEmailConfig(),
+    ...missingUnsubscribeConfig(),
+  ].filter(Boolean);
+  if (missing.length) return res.status(500).json({ error: `Missing required env vars: ${missing.join(", ")}` });
+  if (DOUBLE_OPT_IN && !isConfirmationConfigured())
+    return res.status(500).json({ error: "Missing required env vars for double opt-in: WAITLIST_CONFIRM_SECRET" });
+
+  if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+    return res.status(413).json({ error: "Request body too large" });
+  }
+
+  const ip = clientIp(req);
+  const ipLimit = await rateLimit({ key: `notify-interest:ip:${ip}`, limit: IP_LIMIT, windowMs: IP_WINDOW_MS });
+  if (!ipLimit.allowed) {
+    console.warn("notify-interest: IP rate limit hit", { ip });
+    return tooManyRequests(res, ipLimit);
+  }
 
   let raw = "";
   try {
-    raw = await new Promise((resolve) => {
+    // Keep draining past the limit (without buffering) so the response can still be sent
+    raw = await new Promise((resolve, reject) => {
       let data = "";
-      req.on("data", (chunk) => (data += chunk));
-      req.on("end", () => resolve(data));
+      let size = 0;
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY_BYTES) data += chunk;
+      });
+      req.on("end", () => resolve(size > MAX_BODY_BYTES ? null : data));
+      req.on("error", reject);
     });
   } catch {
     return res.status(400).json({ error: "Unable to read body" });
   }
+  if (raw === null) {
+    return res.status(413).json({ error: "Request body too large" });
+  }
   const payload = safeParse(raw) || {};
   const { variantId: rawVariantId, email } = payload;
+  const acceptsMarketing = payload.acceptsMarketing === true;
   if (!rawVariantId || !email) {
     return res.status(400).json({ error: "Missing required fields: variantId, email" });
   }
+  if (typeof email !== "string" || !/^(gid:\/\/shopify\/ProductVariant\/)?\d+$/.test(String(rawVariantId))) {
+    return res.status(422).json({ error: "Invalid variantId or email" });
+  }
+
+  const bot = await checkBot(payload, { remoteIp: ip }).catch((err) => {
+    console.error("notify-interest: bot check failed", err);
+    return { ok: false, reason: "Verification failed, please try again" };
+  });
+  if (!bot.ok) {
+    console.warn("notify-interest: bot check rejected request", { ip, reason: bot.reason });
+    return res.status(422).json({ error: bot.reason });
+  }
+
+  const emailCheck = validateEmail(email);
+  if (!emailCheck.ok) {
+    return res.status(422).json({ error: emailCheck.reason });
+  }
+
+  const emailLimit = await rateLimit({
+    key: `notify-interest:email:${email.trim().toLowerCase()}`,
+    limit: EMAIL_LIMIT,
+    windowMs: EMAIL_WINDOW_MS,
+  });
+  if (!emailLimit.allowed) {
+    console.warn("notify-interest: email rate limit hit", { ip });
+    return tooManyRequests(res, emailLimit);
+  }
   console.log("notify-interest: request received", {
     method: req.method,
     shop: SHOP,
@@ -108,96 +187,63 @@ export default async function handler(req, res) {
   console.log("notify-interest: normalized variant id", { variantGid });
 
   try {
-    // 1️⃣ Fetch product + variant details AND new-arrivals collection in one request
-    const variantRes = await shopifyFetch("/graphql.json", {
-      method: "POST",
-      body: JSON.stringify({
-        query: `
-          query VariantAndNewArrivals($variantId: ID!) {
-            productVariant(id: $variantId) {
-              id
-              title
-              image { url altText }
-              product {
-                title
-                handle
-                onlineStoreUrl
-                featuredImage { url altText }
-              }
-            }
-            collections(first: 1, query: "handle:new-arrivals") {
-              edges {
-                node {
-                  handle
-                  products(first: 4) {
-                    edges {
-                      node {
-                        title
-                        handle
-                        featuredImage { url altText }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        `,
-        variables: { variantId: variantGid },
-      }),
-    });
-    if (variantRes?.errors?.length) {
-      console.warn(
-        "notify-interest: variant query errors",
-        variantRes.errors.map((e) => e?.message || String(e))
-      );
-    }
-    const variant = variantRes.data?.productVariant;
-    const colNode = variantRes?.data?.collections?.edges?.[0]?.node;
-    let newArrivalsProducts = colNode?.products?.edges?.map((e) => e?.node).filter(Boolean) || [];
+    // 1️⃣ Fetch product + variant details
+    const variant = await fetchSignupVariant(variantGid);
     if (!variant) return res.status(404).json({ error: "Variant not found" });
 
-    // 2️⃣ Build email HTML
-    const firstName = "there";
-    const html = buildConfirmSubscriptionEmail({
-      firstName,
-      product: variant.product,
-      variant,
-      shopDomain: "mishmushkids.com",
-      newArrivalsProducts,
+    // The customer record only personalises the email, so a failed lookup doesn't stop the signup
+    const customer = await findWaitlistCustomer(email).catch((err) => {
+      console.warn("notify-interest: customer lookup failed", { error: err.message });
+      return null;
     });
+    const locale = resolveLocale(payload.locale, customer?.locale, req.headers["accept-language"]);
 
-    const productName = variant?.product?.title ? (' for the ' + variant?.product?.title) : "!";
-    console.time("notify-interest: sendEmail");
-    const emailPayload = {
-      from: "Mish Mush Kids <support@em.mishmushkids.com>",
-      to: email,
-      subject: `You’re on the list${productName}`,
-      html,
-    };
-    console.log("notify-interest: sending email", { to: email, subject: emailPayload.subject });
-    const send = await fetch("https://api.resend.com/emails", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${RESEND_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(emailPayload),
-    });
-    const sendText = await send.text().catch(() => "");
-    console.timeEnd("notify-interest: sendEmail");
-    console.log("notify-interest: Resend response", {
-      status: send.status,
-      ok: send.ok,
-      bodyPreview: sendText.slice(0, 500),
+    // Record the signup so the restock webhook can find it later.
+    // Repeat signups are idempotent: no second entry and no second email.
+    const { subscription, alreadySubscribed } = await subscribe({
+      variantId: variantGid,
+      email,
+      source: origin || "direct",
+      locale,
+      requireConfirmation: DOUBLE_OPT_IN,
     });
+    if (alreadySubscribed) {
+      console.log("notify-interest: already subscribed", { id: subscription.id, status: subscription.status });
+      return res.status(200).json({
+        success: true,
+        alreadySubscribed: true,
+        pending: subscription.status === STATUS.PENDING,
+        message: "Already subscribed",
+      });
+    }
+    console.log("notify-interest: waitlist entry saved", { id: subscription.id, status: subscription.status });
+    if (SYNC_CUSTOMERS && !DOUBLE_OPT_IN) {
+      await syncCustomer({ customer, email, locale, variantId: variantGid, acceptsMarketing });
+    }
 
-    if (!send.ok) {
-      console.error("notify-interest: Resend send failed");
+    // 2️⃣ Send the confirmation link (double opt-in) or the "you're on the list" email
+    console.time("notify-interest: sendEmail");
+    console.log("notify-interest: sending email", { to: email, doubleOptIn: DOUBLE_OPT_IN, locale });
+    let send;
+    try {
+      send = DOUBLE_OPT_IN
+        ? await sendOptInEmail({ email, variantGid, variant, acceptsMarketing, locale })
+        : await sendSubscribedEmail({ email, variantGid, variant, firstName: customer?.firstName, locale });
+    } catch (err) {
+      // Not sent and not queued either, so nobody would ever retry it
+      console.error("notify-interest: email could not be sent or queued", { error: err.message });
+      return res.status(502).json({ error: "Signed up, but we couldn't send the confirmation email" });
+    } finally {
+      console.timeEnd("notify-interest: sendEmail");
     }
 
-    console.log(`Confirmation email sent to ${email}`);
-    return res.status(200).json({ success: true });
+    if (!send.sent) {
+      // Queued in the outbox; the maintenance job retries it
+      console.warn("notify-interest: email queued for retry", { outboxId: send.outboxId, error: send.error });
+      return res.status(202).json({ success: true, pending: DOUBLE_OPT_IN, emailQueued: true });
+    }
+    console.log(`${DOUBLE_OPT_IN ? "Opt-in" : "Confirmation"} email sent to ${email}`, { transport: send.transport });
+    return res.status(200).json({ success: true, pending: DOUBLE_OPT_IN });
   } catch (err) {
     console.error("notify-interest error:", err);
     return res.status(500).json({ error: String(err.message || err) });
@@ -0,0 +1,122 @@
+// api/unsubscribe.js
+// Unsubscribe endpoint behind the signed links in every email footer (see lib/unsubscribe.js).
+//
+// GET  /api/unsubscribe?token=...  shows a confirmation page with an "Unsubscribe" button, so
+//                                  link scanners that prefetch URLs can't unsubscribe anyone.
+// POST /api/unsubscribe?token=...  unsubscribes. Mail clients send this for the RFC 8058
+//                                  one-click List-Unsubscribe header (body
+//                                  "List-Unsubscribe=One-Click"); the confirmation page posts
+//                                  the same thing.
+//
+// back_in_stock tokens mark that waitlist subscription as unsubscribed; marketing tokens set the
+// customer's email marketing consent to UNSUBSCRIBED.
+
+import { verifyUnsubscribeToken, LISTS } from "../lib/unsubscribe.js";
+import { unsubscribe as unsubscribeWaitlist } from "../lib/waitlist/index.js";
+import { shopifyGraphql, assertNoUserErrors } from "../lib/shopify.js";
+import { sendStatusPage } from "../lib/status-page.js";
+
+const SHOP = process.env.SHOP;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+
+const LIST_NAMES = {
+  [LISTS.BACK_IN_STOCK]: "back-in-stock alerts for this item",
+  [LISTS.MARKETING]: "Mish Mush Kids offers and discount emails",
+};
+
+async function findCustomerGid(email) {
+  const data = await shopifyGraphql(
+    `
+      query CustomerByEmail($query: String!) {
+        customers(first: 1, query: $query) {
+          nodes { id email }
+        }
+      }
+    `,
+    { query: `email:"${email.replace(/"/g, "")}"` }
+  );
+  const customer = data?.customers?.nodes?.[0];
+  return customer && customer.email?.toLowerCase() === email ? customer.id : null;
+}
+
+async function unsubscribeCustomer({ email, customerId }) {
+  const customerGid = customerId || (await findCustomerGid(email));
+  if (!customerGid) return false;
+  const data = await shopifyGraphql(
+    `
+      mutation UnsubscribeCustomer($input: CustomerEmailMarketingConsentUpdateInput!) {
+        customerEmailMarketingConsentUpdate(input: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    {
+      input: {
+        customerId: customerGid,
+        emailMarketingConsent: {
+          marketingState: "UNSUBSCRIBED",
+          consentUpdatedAt: new Date().toISOString(),
+        },
+      },
+    }
+  );
+  assertNoUserErrors("customerEmailMarketingConsentUpdate", data?.customerEmailMarketingConsentUpdate?.userErrors);
+  return true;
+}
+
+async function applyUnsubscribe(recipient) {
+  if (recipient.list === LISTS.BACK_IN_STOCK) {
+    if (!recipient.variantId) return false;
+    return Boolean(await unsubscribeWaitlist({ variantId: recipient.variantId, email: recipient.email }));
+  }
+  return unsubscribeCustomer(recipient);
+}
+
+// ---------- handler ----------
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!SHOP || !ADMIN_TOKEN || !UNSUBSCRIBE_SECRET) {
+    return res.status(500).json({ error: "Missing required env vars: SHOP, ADMIN_TOKEN, UNSUBSCRIBE_SECRET" });
+  }
+
+  const token = req.query?.token;
+  const recipient = verifyUnsubscribeToken(token);
+  if (!recipient) {
+    return sendStatusPage(res, 400, {
+      title: "Link not valid",
+      message: "This unsubscribe link is invalid or incomplete. Please use the link from your most recent email.",
+    });
+  }
+  const listName = LIST_NAMES[recipient.list];
+
+  if (req.method === "GET") {
+    return sendStatusPage(res, 200, {
+      title: "Unsubscribe?",
+      message: `Stop sending ${listName} to ${recipient.email}?`,
+      form: {
+        action: `/api/unsubscribe?token=${encodeURIComponent(token)}`,
+        label: "Unsubscribe",
+        fields: { "List-Unsubscribe": "One-Click" },
+      },
+    });
+  }
+
+  try {
+    const changed = await applyUnsubscribe(recipient);
+    console.log("unsubscribe: processed", { list: recipient.list, variantId: recipient.variantId, changed });
+    return sendStatusPage(res, 200, {
+      title: "You're unsubscribed",
+      message: `We won't send ${listName} to ${recipient.email} anymore.`,
+    });
+  } catch (err) {
+    console.error("unsubscribe error:", err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+}
@@ -0,0 +1,138 @@
+// api/waitlist-report.js
+// Waitlist demand report for merchandising (lib/waitlist/report.js).
+//
+// GET /api/waitlist-report                  JSON: totals, per-variant and per-product counts
+//                                           (waiting, pending, notified, converted, ...) and the
+//                                           signup trend
+// GET /api/waitlist-report?format=csv       the per-variant rows as a CSV download
+// GET /api/waitlist-report?task=digest      posts the top 10 most-wanted out-of-stock variants to
+//                                           Slack; vercel.json runs it Mondays at 08:00 UTC
+//
+// ?days=30 sets the window for signups and the trend (digest default 7), ?interval=day|week its
+// granularity. Requests need `Authorization: Bearer <CRON_SECRET>`, which Vercel cron sends
+// itself. Unlike maintenance, the report refuses to run without CRON_SECRET.
+
+import { buildDemandReport, demandReportCsv, INTERVALS } from "../lib/waitlist/report.js";
+
+const SHOP = process.env.SHOP;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const CRON_SECRET = process.env.CRON_SECRET;
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
+
+const REPORT_DAYS = 30;
+const DIGEST_DAYS = 7;
+const MAX_DAYS = 365;
+const DIGEST_SIZE = 10;
+const TASKS = ["report", "digest"];
+const FORMATS = ["json", "csv"];
+
+// ---------- Utilities ----------
+
+function log(type, msg, data = {}) {
+  console.log(JSON.stringify({ type, msg, ...data }));
+}
+
+// Returns { options } or { error } for an invalid query string.
+function getReportOptions(query = {}) {
+  const task = query.task || "report";
+  if (!TASKS.includes(task)) {
+    return { error: `task must be one of: ${TASKS.join(", ")}` };
+  }
+  const format = query.format || "json";
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(", ")}` };
+  }
+  let days = task === "digest" ? DIGEST_DAYS : REPORT_DAYS;
+  if (query.days !== undefined && query.days !== "") {
+    days = Number(query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      return { error: `days must be a whole number from 1 to ${MAX_DAYS}` };
+    }
+  }
+  const interval = query.interval || (days > 90 ? "week" : "day");
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(", ")}` };
+  }
+  return { options: { task, format, days, interval } };
+}
+
+function describeVariant(v) {
+  const name = [v.productTitle || "Deleted product", v.variantTitle !== "Default Title" && v.variantTitle]
+    .filter(Boolean)
+    .join(" — ");
+  return v.sku ? `${name} (${v.sku})` : name;
+}
+
+async function postDigest(report) {
+  const top = report.variants.filter((v) => v.outOfStock && v.waiting > 0).slice(0, DIGEST_SIZE);
+  const { totals, window } = report;
+  const lines = top.map(
+    (v, idx) => `${idx + 1}. ${describeVariant(v)}: *${v.waiting}* waiting${v.signups ? ` (+${v.signups} in the last ${window.days} days)` : ""}`
+  );
+  const text = `*Mish Mush Waitlist Digest*
+Waiting: ${totals.waiting} · New signups (last ${window.days} days): ${totals.signups} · Notified: ${totals.notified} · Converted: ${totals.converted}
+
+Most-wanted out-of-stock variants:
+${lines.join("\n") || "• nothing out of stock has a waitlist"}`;
+
+  const res = await fetch(SLACK_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text }),
+  });
+  if (!res.ok) throw new Error(`Slack webhook responded ${res.status}`);
+  return top.map((v) => ({ variantId: v.variantId, waiting: v.waiting }));
+}
+
+// ---------- Handler ----------
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Use GET" });
+  }
+
+  if (!CRON_SECRET) {
+    return res.status(500).json({ error: "Missing required env vars: CRON_SECRET" });
+  }
+  if (req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (!SHOP || !ADMIN_TOKEN) {
+    return res.status(500).json({ error: "Missing required env vars: SHOP, ADMIN_TOKEN" });
+  }
+
+  const { options, error } = getReportOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (options.task === "digest" && !SLACK_WEBHOOK_URL) {
+    return res.status(500).json({ error: "Missing required env vars for the digest: SLACK_WEBHOOK_URL" });
+  }
+
+  try {
+    const report = await buildDemandReport({ days: options.days, interval: options.interval });
+    log("success", "📈 Waitlist report built", {
+      task: options.task,
+      variants: report.variants.length,
+      totals: report.totals,
+    });
+
+    if (options.task === "digest") {
+      const listed = await postDigest(report);
+      return res.status(200).json({ success: true, generatedAt: report.generatedAt, totals: report.totals, listed });
+    }
+
+    if (options.format === "csv") {
+      const date = report.generatedAt.slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="waitlist-demand-${date}.csv"`);
+      return res.status(200).send(demandReportCsv(report));
+    }
+
+    return res.status(200).json({ success: true, ...report });
+  } catch (err) {
+    log("error", "❌ Waitlist report failed", { error: err.message });
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+}
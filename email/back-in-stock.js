@@ -0,0 +1,81 @@
+// email/back-in-stock.js
+// buildBackInStockEmail: assembles the restock notification using reusable components.
+// Returns { subject, preheader, html, text }.
+
+import { renderLayout, renderHeader, renderHeading, renderIntro, renderHr, renderFooter, renderProductCard, renderButton } from "./components.js";
+import { formatMoney } from "./format.js";
+import { html } from "./html.js";
+import { resolveLocale, translator } from "./i18n.js";
+import { createTheme } from "./theme.js";
+
+// Returns { html, text } for the product card's price line; the html is trusted markup.
+function renderPrice({ price, compareAtPrice, currencyCode, locale, t, theme }) {
+  const current = formatMoney(price, currencyCode, locale);
+  if (!current) return { html: "", text: "" };
+  const isOnSale = compareAtPrice && Number(compareAtPrice) > Number(price);
+  if (!isOnSale) return { html: current, text: current };
+  const was = formatMoney(compareAtPrice, currencyCode, locale);
+  return { html: html`<s class="mm-muted" style="color:${theme.colors.muted};">${was}</s>&nbsp;${current}`, text: t("backInStock.priceOnSale", { was, now: current }) };
+}
+
+export function buildBackInStockEmail({ firstName, product, variant, shopDomain, currencyCode, unsubscribeUrl, preheader, locale, theme }) {
+  const lang = resolveLocale(locale);
+  const t = translator(lang);
+  const emailTheme = createTheme(theme);
+  const name = firstName || t("common.defaultName");
+  const productName = product?.title || t("backInStock.productFallback");
+  const subject = product?.title ? t("backInStock.subject", { product: product.title }) : t("backInStock.subjectFallback");
+  const preview = preheader ?? t("backInStock.preheader");
+
+  // Link straight to the restocked variant so it's preselected on the product page
+  const baseUrl = product?.onlineStoreUrl || `https://${shopDomain}/products/${product?.handle || ""}`;
+  const numericVariantId = String(variant?.id || "").split("/").pop();
+  const productUrl = numericVariantId ? `${baseUrl}?variant=${numericVariantId}` : baseUrl;
+
+  const header = renderHeader({ theme: emailTheme });
+
+  const heading = renderHeading({ text: t("backInStock.heading"), theme: emailTheme });
+  const intro = renderIntro({
+    lines: [
+      t("common.greeting", { name }),
+      t("backInStock.line1", { product: productName }),
+      t("backInStock.line2"),
+    ],
+    locale: lang,
+    theme: emailTheme,
+  });
+
+  const image = variant?.image || product?.featuredImage || {};
+  const variantTitle = variant?.title && variant.title !== "Default Title" ? variant.title : "";
+  const price = renderPrice({
+    price: variant?.price,
+    compareAtPrice: variant?.compareAtPrice,
+    currencyCode,
+    locale: lang,
+    t,
+    theme: emailTheme,
+  });
+  const card = renderProductCard({
+    productUrl,
+    imgSrc: image.url || "",
+    imgAlt: image.altText || productName,
+    title: productName,
+    variantTitle,
+    priceHtml: price.html,
+    priceText: price.text,
+    theme: emailTheme,
+  });
+  const buyCta = renderButton({ href: productUrl, label: t("backInStock.cta"), theme: emailTheme });
+
+  const divider = renderHr({ theme: emailTheme });
+  const footer = renderFooter({ unsubscribeUrl, locale: lang, theme: emailTheme });
+
+  const { html: markup, text } = renderLayout({
+    preheader: preview,
+    locale: lang,
+    theme: emailTheme,
+    blocks: [header, divider, heading, intro, card, buyCta, footer],
+  });
+
+  return { subject, preheader: preview, html: markup, text };
+}
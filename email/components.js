@@ -1,31 +1,117 @@
 // email/components.js
-// Small, reusable HTML string components for transactional emails
+// Small, reusable components for transactional emails.
+//
+// Every component returns a block { html, text }: the HTML markup plus its plain-text
+// counterpart. Templates pass their blocks to renderLayout(), which joins them into the full HTML
+// document and the text/plain alternative sent alongside it. Blocks with nothing to say in plain
+// text (the logo, dividers) return text "".
+//
+// Markup is built with the html`` tag from ./html.js, so every interpolated value is escaped
+// unless it is trusted: nested components, or markup the caller wrapped in raw() (e.g. priceHtml).
+// Link and image URLs must be https and point at a known shop host; see safeUrl().
+//
+// renderLayout, renderIntro, renderFooter and renderProductGrid take the email's `locale`
+// (./i18n.js): the layout sets lang/dir, so right-to-left locales such as Arabic mirror the whole
+// email, components with a text alignment flip it to match, and the grid formats prices for it.
+//
+// Every component takes a `theme` from ./theme.js (default DEFAULT_THEME) for its colours, fonts,
+// logo and spacing; templates build it once with createTheme() and pass the same one everywhere.
+// Elements carry mm-* classes so renderLayout's prefers-color-scheme styles can recolour them.
 
-const FONT_FAMILY = "'Lucida Grande', 'Lucida Sans Unicode', 'Lucida Sans', Lucida, Helvetica, Arial, sans-serif";
-const COLOR_PRIMARY = "#432f0b";
-const COLOR_ACCENT = "#f0a76f";
-const COLOR_BG_OUTER = "#ffffff";
-const COLOR_TEXT_LIGHT = "#555555";
+import { formatMoney } from "./format.js";
+import { html, raw, safeUrl, isSafeUrl } from "./html.js";
+import { resolveLocale, textDirection, translator } from "./i18n.js";
+import { DEFAULT_THEME } from "./theme.js";
 
-export function renderLayout({ children }) {
-  return `
+// Width of the email body, and the viewport width below which grid cells stack.
+const CONTENT_WIDTH = 600;
+const STACK_BREAKPOINT = 480;
+// Left/right padding around the product grid; its cells add their own on top.
+const GRID_PADDING = 10;
+const BADGES = ["backInStock", "new"];
+
+// Hidden preview text shown next to the subject in the inbox. The trailing zero-width
+// characters keep clients from filling the rest of the preview with body text.
+function renderPreheader(preheader) {
+  if (!preheader) return "";
+  return html`
+        <div style="display:none!important;color:#fff;font-size:1px;line-height:1px;max-height:0;max-width:0;opacity:0;overflow:hidden;mso-hide:all;">
+            ${preheader}${raw("&#847;&zwnj;&nbsp;".repeat(40))}
+        </div>`;
+}
+
+// Dark-mode overrides for the mm-* classes, and stacking for the product grid's mm-col cells.
+// Theme colours are validated by createTheme(), so they are safe to place inside <style>.
+// [data-ogsc] is how Outlook.com marks dark mode.
+function renderStyles(theme) {
+  const d = theme.darkColors;
+  const rules = [
+    [".mm-bg", `background-color:${d.background} !important;`],
+    [".mm-surface", `background-color:${d.surface} !important;`],
+    [".mm-primary", `color:${d.primary} !important;`],
+    [".mm-text", `color:${d.text} !important;`],
+    [".mm-muted", `color:${d.muted} !important;`],
+    [".mm-divider", `border-color:${d.primary} !important;`],
+    [".mm-button", `background-color:${d.accent} !important;border-color:${d.accent} !important;color:${d.buttonText} !important;`],
+    [".mm-badge", `background-color:${d.accent} !important;color:${d.buttonText} !important;`],
+    [".mm-footer", `background-color:${d.footerBackground} !important;`],
+    [".mm-footer-text", `color:${d.footerText} !important;`],
+  ];
+  if (theme.logo.darkUrl) {
+    rules.push([".mm-logo-light", "display:none !important;"]);
+    rules.push([".mm-logo-dark", "display:block !important;max-height:none !important;"]);
+  }
+  const css = (prefix) => rules.map(([selector, decl]) => `${prefix}${selector} { ${decl} }`).join("\n          ");
+  return raw(`
+        <style>
+          :root { color-scheme: light dark; supported-color-schemes: light dark; }
+          @media (prefers-color-scheme: dark) {
+          ${css("")}
+          }
+          ${css("[data-ogsc] ")}
+          @media only screen and (max-width: ${STACK_BREAKPOINT}px) {
+          .mm-col { max-width:100% !important; }
+          }
+        </style>`);
+}
+
+// Start-of-line alignment for the locale: "left", or "right" for RTL.
+function startAlign(locale) {
+  return textDirection(locale) === "rtl" ? "right" : "left";
+}
+
+// Returns { html, text } for the whole email.
+export function renderLayout({ blocks = [], preheader = "", locale, theme = DEFAULT_THEME }) {
+  const { colors } = theme;
+  const lang = resolveLocale(locale);
+  const dir = textDirection(lang);
+  const parts = blocks.filter(Boolean);
+  const children = parts.map((b) => b.html);
+  const text = parts
+    .map((b) => b.text)
+    .filter((t) => t && t.trim() !== "")
+    .join("\n\n");
+
+  const markup = html`
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${lang}" dir="${dir}">
         <head>
         <meta charset="utf-8">
         <meta http-equiv="x-ua-compatible" content="ie=edge">
         <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover">
         <meta name="x-apple-disable-message-reformatting">
         <meta name="format-detection" content="telephone=no, date=no, address=no, email=no">
-        <title></title>
+        <meta name="color-scheme" content="light dark">
+        <meta name="supported-color-schemes" content="light dark">
+        <title></title>${renderStyles(theme)}
     </head>
-    <body style="margin:0;padding:0;background-color:${COLOR_BG_OUTER};">
-        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0;padding:0;background-color:${COLOR_BG_OUTER};">
+    <body dir="${dir}" class="mm-bg" style="margin:0;padding:0;background-color:${colors.background};">${renderPreheader(preheader)}
+        <table role="presentation" class="mm-bg" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0;padding:0;background-color:${colors.background};">
             <tr>
                 <td align="center" style="padding:0;">
-                    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 auto;width:100%;max-width:600px;background-color:#ffffff;">
+                    <table role="presentation" dir="${dir}" class="mm-surface" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 auto;width:100%;max-width:${CONTENT_WIDTH}px;background-color:${colors.surface};">
                         <tr>
-                            <td>
+                            <td dir="${dir}" style="text-align:${startAlign(lang)};">
                                 ${children}
                             </td>
                         </tr>
@@ -35,70 +121,76 @@ export function renderLayout({ children }) {
         </table>
     </body>
 </html>`;
+  return { html: String(markup), text: `${text}\n` };
 }
 
-export function renderHeader({ logoUrl, alt = "Mish Mush Kids", width = 129 }) {
-  return `
+// The logo comes from theme.logo; logoUrl / alt / width override it for one email.
+export function renderHeader({ logoUrl, alt, width, theme = DEFAULT_THEME } = {}) {
+  const { logo, colors, spacing } = theme;
+  const src = safeUrl(logoUrl || logo.url);
+  const darkSrc = !logoUrl && logo.darkUrl ? safeUrl(logo.darkUrl) : "";
+  const imgWidth = width || logo.width;
+  const imgAlt = alt || logo.alt;
+  const markup = html`
 <table width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
-    <td align="center" style="padding:30px 60px 10px;">
-      <a href="https://mishmushkids.com" style="color:${COLOR_PRIMARY};text-decoration:none;">
-        <img src="${logoUrl}" alt="${alt}" width="${width}" style="display:block;max-width:100%;height:auto;border:0;" />
+    <td align="center" style="padding:30px ${spacing.gutter} 10px;">
+      <a href="${safeUrl(logo.href)}" style="color:${colors.primary};text-decoration:none;">
+        <img class="mm-logo-light" src="${src}" alt="${imgAlt}" width="${imgWidth}" style="display:block;max-width:100%;height:auto;border:0;" />${darkSrc && html`
+        <!--[if !mso]><!--><img class="mm-logo-dark" src="${darkSrc}" alt="${imgAlt}" width="${imgWidth}" style="display:none;max-height:0;max-width:100%;height:auto;border:0;" /><!--<![endif]-->`}
       </a>
     </td>
   </tr>
 </table>`;
+  return { html: markup, text: "" };
 }
 
-export function renderHeading({ text, size = "24px" }) {
-  return `
+export function renderHeading({ text, size = "24px", theme = DEFAULT_THEME }) {
+  const { colors, fonts, spacing } = theme;
+  const markup = html`
 <table width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
-    <td align="center" style="padding:10px 60px;">
-      <h2 style="font-size:${size};line-height:1.2;color:${COLOR_PRIMARY};font-family:${FONT_FAMILY};font-weight:400;margin:0;">${text}</h2>
+    <td align="center" style="padding:10px ${spacing.gutter};">
+      <h2 class="mm-primary" style="font-size:${size};line-height:1.2;color:${colors.primary};font-family:${fonts.heading};font-weight:400;margin:0;">${text}</h2>
     </td>
   </tr>
 </table>`;
+  return { html: markup, text: String(text) };
 }
 
-export function renderIntro({ lines }) {
-  const items = Array.isArray(lines) ? lines : [String(lines || "")];
+export function renderIntro({ lines, locale, theme = DEFAULT_THEME }) {
+  const { colors, fonts, spacing } = theme;
+  const align = startAlign(locale);
+  const items = (Array.isArray(lines) ? lines : [String(lines || "")])
+    .filter((x) => x != null && String(x).trim() !== "");
   const paragraphs = items
-    .filter((x) => x != null && String(x).trim() !== "")
     .map((text, idx) => {
       const marginBottom = idx === items.length - 1 ? 0 : 12; // extra space between lines
-      return `<p style="font-size:16px;line-height:1.5;color:${COLOR_TEXT_LIGHT};font-family:${FONT_FAMILY};margin:${idx === 0 ? 0 : 0}px 0 ${marginBottom}px 0;">${String(text)}</p>`;
-    })
-    .join("");
-  return `
+      return html`<p class="mm-text" style="font-size:16px;line-height:1.5;color:${colors.text};font-family:${fonts.body};text-align:${align};margin:${idx === 0 ? 0 : 0}px 0 ${marginBottom}px 0;">${String(text)}</p>`;
+    });
+  const markup = html`
 <table width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
-    <td align="left" style="padding:0 60px 24px;">
-        <span
-            style="display:none!important;
-            color:#fff;
-            font-size:1px;
-            line-height:1px;
-            max-height:0;
-            max-width:0;
-            opacity:0;
-            overflow:hidden;"
-        >
-            Thank you for signing up to be notified when this item is back.
-        </span>
+    <td align="${align}" style="padding:0 ${spacing.gutter} ${spacing.section};">
       ${paragraphs}
     </td>
   </tr>
 </table>`;
+  return { html: markup, text: items.map(String).join("\n\n") };
 }
 
-export function renderProductCard({ productUrl, imgSrc, imgAlt, title, variantTitle, priceHtml }) {
-  return `
+// priceHtml is escaped unless wrapped in raw() or built with html``; priceText is its plain-text
+// version, e.g. "Was £30.00, now £25.00". An image that isn't on a known host is left out.
+export function renderProductCard({ productUrl: url, imgSrc: src, imgAlt, title, variantTitle, priceHtml, priceText, theme = DEFAULT_THEME }) {
+  const { colors, fonts } = theme;
+  const productUrl = safeUrl(url);
+  const imgSrc = isSafeUrl(src) ? src : "";
+  const markup = html`
 <table width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
     <td align="center" style="padding:20px 0;">
       <table width="240" cellpadding="0" cellspacing="0" border="0">
-        ${imgSrc ? `
+        ${imgSrc && html`
         <tr>
           <td align="center" style="padding:0 10px;">
             <a href="${productUrl}" style="text-decoration:none;">
@@ -106,135 +198,206 @@ export function renderProductCard({ productUrl, imgSrc, imgAlt, title, variantTi
             </a>
           </td>
         </tr>
-        <tr><td height="16"></td></tr>` : ''}
+        <tr><td height="16"></td></tr>`}
         <tr>
           <td align="center" style="padding:0 15px;">
-            <h3 style="font-size:20px;line-height:1.2;color:${COLOR_PRIMARY};font-family:${FONT_FAMILY};font-weight:400;margin:0 0 10px;">
-              <a href="${productUrl}" style="color:${COLOR_PRIMARY};text-decoration:none;">${title}</a>
+            <h3 class="mm-primary" style="font-size:20px;line-height:1.2;color:${colors.primary};font-family:${fonts.heading};font-weight:400;margin:0 0 10px;">
+              <a class="mm-primary" href="${productUrl}" style="color:${colors.primary};text-decoration:none;">${title}</a>
             </h3>
-            ${variantTitle ? `<p style="font-size:14px;color:#666;margin:0 0 8px;">${variantTitle}</p>` : ''}
-            ${priceHtml ? `<p style="font-size:16px;line-height:1.2;color:${COLOR_PRIMARY};font-family:${FONT_FAMILY};margin:0;">${priceHtml}</p>` : ''}
+            ${variantTitle && html`<p class="mm-muted" style="font-size:14px;color:${colors.muted};font-family:${fonts.body};margin:0 0 8px;">${variantTitle}</p>`}
+            ${priceHtml && html`<p class="mm-primary" style="font-size:16px;line-height:1.2;color:${colors.primary};font-family:${fonts.body};margin:0;">${priceHtml}</p>`}
           </td>
         </tr>
       </table>
     </td>
   </tr>
 </table>`;
+  const text = [title, variantTitle, priceText, productUrl].filter(Boolean).join("\n");
+  return { html: markup, text };
 }
 
-export function renderButton({ href, label }) {
-  return `
+export function renderButton({ href: url, label, theme = DEFAULT_THEME }) {
+  const { colors, fonts, spacing } = theme;
+  const href = safeUrl(url);
+  const markup = html`
 <table width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
-    <td align="center" style="padding:0 60px 30px;">
+    <td align="center" style="padding:0 ${spacing.gutter} 30px;">
       <table cellpadding="0" cellspacing="0" border="0">
         <tr>
-          <td align="center" style="border-radius:12px;background-color:${COLOR_ACCENT};">
-            <a href="${href}" style="font-size:16px;font-family:${FONT_FAMILY};font-weight:700;color:${COLOR_PRIMARY};text-decoration:none;border-radius:12px;background-color:${COLOR_ACCENT};border:3px solid ${COLOR_ACCENT};display:inline-block;padding:14px 28px;min-width:80px;">${label}</a>
+          <td align="center" class="mm-button" style="border-radius:${spacing.radius};background-color:${colors.accent};">
+            <a class="mm-button" href="${href}" style="font-size:16px;font-family:${fonts.body};font-weight:700;color:${colors.buttonText};text-decoration:none;border-radius:${spacing.radius};background-color:${colors.accent};border:3px solid ${colors.accent};display:inline-block;padding:14px 28px;min-width:80px;">${label}</a>
           </td>
         </tr>
       </table>
     </td>
   </tr>
 </table>`;
+  return { html: markup, text: `${label}: ${href}` };
 }
 
-export function renderHr() {
-  return `
+export function renderHr({ theme = DEFAULT_THEME } = {}) {
+  const { colors, spacing } = theme;
+  const markup = html`
 <table width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
-    <td align="center" style="padding:0 60px;">
+    <td align="center" style="padding:0 ${spacing.gutter};">
       <table width="100%" cellpadding="0" cellspacing="0" border="0">
         <tr><td height="10"></td></tr>
         <tr>
-          <td style="border-top:1px solid ${COLOR_PRIMARY};"></td>
+          <td class="mm-divider" style="border-top:1px solid ${colors.primary};"></td>
         </tr>
         <tr><td height="30"></td></tr>
       </table>
     </td>
   </tr>
 </table>`;
+  return { html: markup, text: "" };
 }
 
-export function renderFooter({ unsubscribeUrl = "#" } = {}) {
-  const currentYear = new Date().getFullYear();
-  return `
-<table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:${COLOR_ACCENT};padding:24px 60px;">
+// theme.footer.address lines sit above the copyright notice.
+export function renderFooter({ unsubscribeUrl: url, locale, theme = DEFAULT_THEME } = {}) {
+  const { colors, fonts, spacing, footer } = theme;
+  const unsubscribeUrl = url ? safeUrl(url) : "";
+  const t = translator(locale);
+  const align = startAlign(locale);
+  const copyright = t("common.copyright", { year: new Date().getFullYear(), brand: theme.brandName });
+  const cellStyle = `font-size:12px;line-height:1.5;color:${colors.footerText};font-family:${fonts.body};text-align:${align};`;
+  const address = footer.address.filter(Boolean);
+  const markup = html`
+<table class="mm-footer" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:${colors.footerBackground};padding:${spacing.section} ${spacing.gutter};">
   <tr>
     <td align="center">
       <table width="100%" cellpadding="0" cellspacing="0" border="0">
+        ${address.length > 0 && html`
         <tr>
-          <td style="font-size:12px;line-height:1.5;color:${COLOR_PRIMARY};font-family:${FONT_FAMILY};padding-bottom:8px;">
-            Mish Mush Kids
+          <td class="mm-footer-text" style="${cellStyle}padding-bottom:8px;">
+            ${address.map((line, idx) => html`${idx > 0 && html`<br />`}${line}`)}
           </td>
-        </tr>
-        </tr>
+        </tr>`}
         <tr>
-          <td style="font-size:12px;line-height:1.5;color:${COLOR_PRIMARY};font-family:${FONT_FAMILY};padding-top:4px;">
-            © ${currentYear} Mish Mush Kids
+          <td class="mm-footer-text" style="${cellStyle}padding-top:4px;">
+            ${copyright}
           </td>
         </tr>
+        ${unsubscribeUrl && html`
+        <tr>
+          <td class="mm-footer-text" style="${cellStyle}padding-top:8px;">
+            <a class="mm-footer-text" href="${unsubscribeUrl}" style="color:${colors.footerText};text-decoration:underline;">${t("common.unsubscribe")}</a>
+          </td>
+        </tr>`}
       </table>
     </td>
   </tr>
 </table>`;
+  const text = [...address, copyright, unsubscribeUrl && `${t("common.unsubscribe")}: ${unsubscribeUrl}`]
+    .filter(Boolean)
+    .join("\n");
+  return { html: markup, text };
 }
 
-
-export function renderProductGrid({ items = [], shopDomain }) {
-  if (!Array.isArray(items) || items.length === 0) return "";
-  const products = items.slice(0, 4).map((p) => ({
+// Product grid: `columns` cells per row (1-4), at most `limit` items (default two rows).
+// Cells are inline-blocks with a max-width, so they wrap on their own where media queries are
+// ignored; below STACK_BREAKPOINT renderLayout's styles make them full width, and Outlook for
+// Windows gets fixed-width ghost tables instead. Each item may carry a `badge` ("backInStock" or
+// "new"), `price` / `compareAtPrice` as { amount, currencyCode }, and a `ctaLabel` overriding the
+// grid's `ctaLabel` (pass ctaLabel: null for no buttons).
+export function renderProductGrid({ items = [], shopDomain, columns = 2, limit, ctaLabel, locale, theme = DEFAULT_THEME }) {
+  const { colors, fonts, spacing } = theme;
+  if (!Array.isArray(items) || items.length === 0) return { html: "", text: "" };
+  const t = translator(locale);
+  const cols = Math.min(Math.max(Math.floor(columns) || 1, 1), 4);
+  const colWidth = Math.floor((CONTENT_WIDTH - 2 * GRID_PADDING) / cols);
+  const imgWidth = colWidth - 20;
+  const defaultCta = ctaLabel === undefined ? t("productGrid.cta") : ctaLabel;
+  const products = items.slice(0, Math.max(limit ?? cols * 2, 0)).map((p) => ({
     title: p?.title || "",
     handle: p?.handle || "",
+    url: p?.url || "",
     featuredImage: p?.featuredImage || {},
+    price: p?.price || null,
+    compareAtPrice: p?.compareAtPrice || null,
+    badge: BADGES.includes(p?.badge) ? t(`productGrid.badges.${p.badge}`) : "",
+    ctaLabel: p?.ctaLabel ?? defaultCta,
   }));
 
+  // Prefer the product's own storefront URL, otherwise build one from the handle
+  const productUrlFor = (product) =>
+    isSafeUrl(product.url) ? product.url : safeUrl(`https://${shopDomain}/products/${encodeURIComponent(product.handle)}`);
+
+  // { current, was } formatted for the locale; `was` only when the product is on sale
+  const pricesFor = (product) => {
+    const current = formatMoney(product.price?.amount, product.price?.currencyCode, locale);
+    const onSale = current && Number(product.compareAtPrice?.amount) > Number(product.price.amount);
+    return { current, was: onSale ? formatMoney(product.compareAtPrice.amount, product.compareAtPrice.currencyCode, locale) : "" };
+  };
+
   function renderCell(product) {
-    if (!product) {
-      return `
-      <td align="center" valign="top" width="50%" style="padding:10px 10px;">
-        
-      </td>`;
-    }
-    const productUrl = `https://${shopDomain}/products/${product.handle}`;
-    const imgSrc = product.featuredImage?.url || "";
+    const productUrl = productUrlFor(product);
+    const imgSrc = isSafeUrl(product.featuredImage?.url) ? product.featuredImage.url : "";
     const imgAlt = product.featuredImage?.altText || product.title || "";
-    return `
-      <td align="center" valign="top" width="50%" style="padding:10px 10px;">
-        <table width="100%" cellpadding="0" cellspacing="0" border="0">
-          ${imgSrc ? `
+    const { current, was } = pricesFor(product);
+    return html`
+      <div class="mm-col" style="display:inline-block;width:100%;max-width:${colWidth}px;vertical-align:top;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+          ${imgSrc && html`
           <tr>
-            <td align="center" style="padding:0 0 10px;">
+            <td align="center" style="padding:10px 10px 10px;">
               <a href="${productUrl}" style="text-decoration:none;">
-                <img src="${imgSrc}" alt="${imgAlt}" width="240" style="display:block;max-width:100%;height:auto;border:0;" />
+                <img src="${imgSrc}" alt="${imgAlt}" width="${imgWidth}" style="display:block;width:100%;max-width:${imgWidth}px;height:auto;border:0;" />
               </a>
             </td>
-          </tr>` : ""}
+          </tr>`}
+          ${product.badge && html`
+          <tr>
+            <td align="center" style="padding:0 10px 6px;">
+              <span class="mm-badge" style="display:inline-block;padding:3px 10px;border-radius:${spacing.radius};background-color:${colors.accent};color:${colors.buttonText};font-size:12px;line-height:1.4;font-family:${fonts.body};font-weight:700;">${product.badge}</span>
+            </td>
+          </tr>`}
           <tr>
-            <td align="center" style="padding:0 5px;">
-              <h3 style="font-size:16px;line-height:1.2;color:${COLOR_PRIMARY};font-family:${FONT_FAMILY};font-weight:400;margin:0 0 6px;">
-                <a href="${productUrl}" style="color:${COLOR_PRIMARY};text-decoration:none;">${product.title}</a>
+            <td align="center" style="padding:0 15px;">
+              <h3 class="mm-primary" style="font-size:16px;line-height:1.2;color:${colors.primary};font-family:${fonts.heading};font-weight:400;margin:0 0 6px;">
+                <a class="mm-primary" href="${productUrl}" style="color:${colors.primary};text-decoration:none;">${product.title}</a>
               </h3>
             </td>
           </tr>
+          ${current && html`
+          <tr>
+            <td align="center" class="mm-text" style="padding:0 15px;font-size:14px;line-height:1.4;color:${colors.text};font-family:${fonts.body};">
+              ${was && html`<s class="mm-muted" style="color:${colors.muted};">${was}</s>&nbsp;`}${current}
+            </td>
+          </tr>`}
+          ${product.ctaLabel && html`
+          <tr>
+            <td align="center" style="padding:10px 15px 0;">
+              <a class="mm-button" href="${productUrl}" style="display:inline-block;padding:8px 16px;border-radius:${spacing.radius};background-color:${colors.accent};border:2px solid ${colors.accent};color:${colors.buttonText};font-size:14px;font-family:${fonts.body};font-weight:700;text-decoration:none;">${product.ctaLabel}</a>
+            </td>
+          </tr>`}
+          <tr><td height="20"></td></tr>
         </table>
-      </td>`;
+      </div>`;
   }
 
-  const row1 = [products[0], products[1]];
-  const row2 = [products[2], products[3]];
+  // Outlook ignores max-width on the cells, so it gets a table with one fixed-width td per cell
+  const cells = products.map((product, idx) => {
+    const opener = idx === 0 ? "" : idx % cols === 0 ? "</td></tr><tr>" : "</td>";
+    return html`${raw(`<!--[if mso]>${opener}<td width="${colWidth}" valign="top"><![endif]-->`)}${renderCell(product)}`;
+  });
 
-  return `
-<table width="100%" cellpadding="0" cellspacing="0" border="0">
-  <tr>
-    ${renderCell(row1[0])}
-    ${renderCell(row1[1])}
-  </tr>
+  const markup = html`
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
   <tr>
-    ${renderCell(row2[0])}
-    ${renderCell(row2[1])}
+    <td align="center" style="padding:0 ${GRID_PADDING}px;font-size:0;">
+      ${raw(`<!--[if mso]><table role="presentation" width="${colWidth * cols}" cellpadding="0" cellspacing="0" border="0"><tr><![endif]-->`)}${cells}${raw("<!--[if mso]></td></tr></table><![endif]-->")}
+    </td>
   </tr>
 </table>`;
+  const text = products
+    .map((p) => {
+      const { current, was } = pricesFor(p);
+      const details = [p.badge, was ? `${was} → ${current}` : current].filter(Boolean).join(", ");
+      return `- ${p.title}${details ? ` (${details})` : ""}: ${productUrlFor(p)}`;
+    })
+    .join("\n");
+  return { html: markup, text };
 }
-
-
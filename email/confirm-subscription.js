@@ -1,44 +1,51 @@
 // email/confirm-subscription.js
-// buildConfirmSubscriptionEmail: assembles the confirmation email HTML using reusable components
+// buildConfirmSubscriptionEmail: assembles the "you're on the list" email using reusable components.
+// Sent once a signup is active: straight away, or after the double opt-in link was confirmed.
+// Returns { subject, preheader, html, text }.
 
 import { renderLayout, renderHeader, renderHeading, renderIntro, renderHr, renderFooter, renderProductGrid, renderButton } from "./components.js";
-
-export function buildConfirmSubscriptionEmail({ firstName, product, shopDomain, newArrivalsProducts = [] }) {
-  const name = firstName || "there";
-  const productName = product?.title || "this item";
-
-  const header = renderHeader({
-    logoUrl: "https://mishmushkids.com/cdn/shop/files/mishmush.webp",
-    alt: "Mish Mush Kids",
-    width: 160,
-  });
-
-  const heading = renderHeading({ text: "You're on the list ✨" });
+import { resolveLocale, translator } from "./i18n.js";
+import { createTheme } from "./theme.js";
+
+export function buildConfirmSubscriptionEmail({ firstName, product, shopDomain, recommendedProducts = [], unsubscribeUrl, preheader, locale, theme }) {
+  const lang = resolveLocale(locale);
+  const t = translator(lang);
+  const emailTheme = createTheme(theme);
+  const name = firstName || t("common.defaultName");
+  const productName = product?.title || t("confirmSubscription.productFallback");
+  const subject = product?.title
+    ? t("confirmSubscription.subject", { product: product.title })
+    : t("confirmSubscription.subjectFallback");
+  const preview = preheader ?? t("confirmSubscription.preheader");
+
+  const header = renderHeader({ theme: emailTheme });
+
+  const heading = renderHeading({ text: t("confirmSubscription.heading"), theme: emailTheme });
   const intro = renderIntro({
     lines: [
-      `Hi ${name},`,
-      `Thank you for signing up to be notified when ${productName} is back.`,
-      'As soon as it’s restocked, we’ll send you a note so you can be first to grab it.',
-      'While you wait, take a peek at our other playful favorites inspired by Arabic traditions and childhood magic.'
+      t("common.greeting", { name }),
+      t("confirmSubscription.line1", { product: productName }),
+      t("confirmSubscription.line2"),
+      t("confirmSubscription.line3"),
     ],
+    locale: lang,
+    theme: emailTheme,
   });
 
-  const gridHeading = renderHeading({ text: "New arrivals you might like", size: "20px" });
-  const grid = renderProductGrid({ items: newArrivalsProducts, shopDomain });
-  const shopAllCta = renderButton({ href: `https://${shopDomain}`, label: "Shop all" });
-
-  const body = `
-    ${header}
-    ${renderHr()}
-    ${heading}
-    ${intro}
-    ${gridHeading}
-    ${grid}
-    ${shopAllCta}
-    ${renderFooter()}
-  `;
-
-  return renderLayout({ children: body });
-}
+  // Skip the heading when there is nothing to recommend
+  const gridHeading = recommendedProducts.length > 0 && renderHeading({ text: t("confirmSubscription.gridHeading"), size: "20px", theme: emailTheme });
+  const grid = renderProductGrid({ items: recommendedProducts, shopDomain, locale: lang, theme: emailTheme });
+  const shopAllCta = renderButton({ href: `https://${shopDomain}`, label: t("confirmSubscription.cta"), theme: emailTheme });
+
+  const divider = renderHr({ theme: emailTheme });
+  const footer = renderFooter({ unsubscribeUrl, locale: lang, theme: emailTheme });
 
+  const { html, text } = renderLayout({
+    preheader: preview,
+    locale: lang,
+    theme: emailTheme,
+    blocks: [header, divider, heading, intro, gridHeading, grid, shopAllCta, footer],
+  });
 
+  return { subject, preheader: preview, html, text };
+}
@@ -0,0 +1,43 @@
+// email/double-opt-in.js
+// buildDoubleOptInEmail: assembles the "please confirm your signup" email using reusable components.
+// Returns { subject, preheader, html, text }.
+
+import { renderLayout, renderHeader, renderHeading, renderIntro, renderHr, renderFooter, renderButton } from "./components.js";
+import { resolveLocale, translator } from "./i18n.js";
+import { createTheme } from "./theme.js";
+
+export function buildDoubleOptInEmail({ product, confirmUrl, confirmWithinHours, unsubscribeUrl, preheader, locale, theme }) {
+  const lang = resolveLocale(locale);
+  const t = translator(lang);
+  const emailTheme = createTheme(theme);
+  const productName = product?.title || t("doubleOptIn.productFallback");
+  const subject = t("doubleOptIn.subject");
+  const preview = preheader ?? t("doubleOptIn.preheader");
+
+  const header = renderHeader({ theme: emailTheme });
+
+  const heading = renderHeading({ text: t("doubleOptIn.heading"), theme: emailTheme });
+  const intro = renderIntro({
+    lines: [
+      t("common.greeting", { name: t("common.defaultName") }),
+      t("doubleOptIn.line1", { product: productName }),
+      t("doubleOptIn.line2", { hours: confirmWithinHours }),
+    ],
+    locale: lang,
+    theme: emailTheme,
+  });
+
+  const confirmCta = renderButton({ href: confirmUrl, label: t("doubleOptIn.cta"), theme: emailTheme });
+
+  const divider = renderHr({ theme: emailTheme });
+  const footer = renderFooter({ unsubscribeUrl, locale: lang, theme: emailTheme });
+
+  const { html, text } = renderLayout({
+    preheader: preview,
+    locale: lang,
+    theme: emailTheme,
+    blocks: [header, divider, heading, intro, confirmCta, footer],
+  });
+
+  return { subject, preheader: preview, html, text };
+}
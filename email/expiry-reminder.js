@@ -0,0 +1,57 @@
+// email/expiry-reminder.js
+// buildExpiryReminderEmail: assembles the "your code expires soon" email using reusable components.
+// Returns { subject, preheader, html, text }.
+
+import { renderLayout, renderHeader, renderHeading, renderIntro, renderHr, renderFooter, renderButton } from "./components.js";
+import { resolveLocale, translator } from "./i18n.js";
+import { createTheme } from "./theme.js";
+
+// Dates read "21 October" in English rather than the US "October 21"
+const DATE_LOCALES = { en: "en-GB" };
+
+export function buildExpiryReminderEmail({ firstName, code, expiresAt, shopDomain, unsubscribeUrl, preheader, locale, theme }) {
+  const lang = resolveLocale(locale);
+  const t = translator(lang);
+  const emailTheme = createTheme(theme);
+  const name = firstName || t("common.defaultName");
+  const expiresOn = new Date(expiresAt).toLocaleDateString(DATE_LOCALES[lang] || lang, {
+    day: "numeric",
+    month: "long",
+    timeZone: "UTC",
+  });
+  const subject = t("expiryReminder.subject");
+  const preview = preheader ?? t("expiryReminder.preheader", { date: expiresOn });
+
+  const header = renderHeader({ theme: emailTheme });
+
+  const heading = renderHeading({ text: t("expiryReminder.heading"), theme: emailTheme });
+  const intro = renderIntro({
+    lines: [
+      t("common.greeting", { name }),
+      t("expiryReminder.line1", { date: expiresOn }),
+      t("expiryReminder.line2"),
+    ],
+    locale: lang,
+    theme: emailTheme,
+  });
+
+  const codeHeading = renderHeading({ text: code, size: "28px", theme: emailTheme });
+  // Shopify's /discount/{code} link applies the code and then redirects to the storefront
+  const shopCta = renderButton({
+    href: `https://${shopDomain}/discount/${encodeURIComponent(code)}`,
+    label: t("expiryReminder.cta"),
+    theme: emailTheme,
+  });
+
+  const divider = renderHr({ theme: emailTheme });
+  const footer = renderFooter({ unsubscribeUrl, locale: lang, theme: emailTheme });
+
+  const { html, text } = renderLayout({
+    preheader: preview,
+    locale: lang,
+    theme: emailTheme,
+    blocks: [header, divider, heading, intro, codeHeading, shopCta, footer],
+  });
+
+  return { subject, preheader: preview, html, text };
+}
@@ -0,0 +1,14 @@
+// email/format.js
+// Formatting helpers shared by the email templates and components.
+
+// Amount in the email's locale, e.g. "AED 120.00"; "" when it isn't a number.
+export function formatMoney(amount, currencyCode, locale) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return "";
+  if (!currencyCode) return value.toFixed(2);
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency: currencyCode }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currencyCode}`;
+  }
+}
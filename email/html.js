@@ -0,0 +1,99 @@
+// email/html.js
+// Escape-by-default templating for the email components.
+//
+//   html`<p>${value}</p>`  escapes every interpolation unless it is trusted: the result of another
+//                          html`` template, or a string wrapped in raw(). Arrays are joined,
+//                          null / undefined / false render nothing.
+//   raw(markup)            marks markup we built ourselves (e.g. a price with <s>) as trusted.
+//   safeUrl(url)           returns the URL if it is https and points at a known host, else throws.
+//                          Plain http is only accepted for localhost and for an http APP_URL
+//                          host, so local setups with APP_URL=http://localhost:3000 work.
+//   isSafeUrl(url)         the same check as a boolean, for optional URLs such as product images.
+//
+// Known hosts are the storefront (SHOP_DOMAIN, see lib/email) and its www host, Shopify's CDN,
+// the SHOP myshopify domain, the APP_URL host (unsubscribe / confirmation links) and anything
+// listed in EMAIL_ALLOWED_HOSTS (comma separated).
+
+import { SHOP_DOMAIN } from "../lib/email/index.js";
+
+const KNOWN_HOSTS = new Set(
+  [
+    SHOP_DOMAIN,
+    `www.${SHOP_DOMAIN}`,
+    "cdn.shopify.com",
+    process.env.SHOP,
+    hostOf(process.env.APP_URL),
+    ...(process.env.EMAIL_ALLOWED_HOSTS || "").split(","),
+  ]
+    .map((h) => (h || "").trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const HTTP_HOSTS = new Set(
+  ["localhost", "127.0.0.1", "[::1]", /^http:/i.test(process.env.APP_URL || "") && hostOf(process.env.APP_URL)].filter(Boolean)
+);
+
+function hostOf(url) {
+  try {
+    return url ? new URL(url).hostname : "";
+  } catch {
+    return "";
+  }
+}
+
+class SafeHtml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderValue(value) {
+  if (value == null || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  return escapeHtml(value);
+}
+
+export function raw(markup) {
+  return new SafeHtml(markup ?? "");
+}
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+export function isSafeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (parsed.protocol === "http:") return HTTP_HOSTS.has(host);
+  return parsed.protocol === "https:" && KNOWN_HOSTS.has(host);
+}
+
+export function safeUrl(url) {
+  if (!isSafeUrl(url)) {
+    throw new Error(`Refusing to render URL in email: ${String(url).slice(0, 200)} (https and a known shop host required, or http for APP_URL / localhost)`);
+  }
+  return String(url);
+}
@@ -0,0 +1,47 @@
+// email/i18n.js
+// Locales for transactional emails. Copy lives in per-locale catalogues (./locales/*.js) keyed
+// by template; templates take a `locale` option and look their strings up with translator().
+//
+// Locales are matched on language only: "ar-AE", "ar" and an Accept-Language header starting
+// with Arabic all resolve to "ar". Anything unsupported falls back to DEFAULT_LOCALE.
+
+import en from "./locales/en.js";
+import ar from "./locales/ar.js";
+
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGUES = { en, ar };
+const RTL_LOCALES = new Set(["ar"]);
+
+// First supported locale among the candidates, e.g. resolveLocale(payload.locale, req.headers["accept-language"]).
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const tags = String(candidate || "")
+      .split(",")
+      .map((part) => part.split(";")[0].trim().toLowerCase());
+    for (const tag of tags) {
+      const language = tag.split(/[-_]/)[0];
+      if (CATALOGUES[language]) return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function textDirection(locale) {
+  return RTL_LOCALES.has(resolveLocale(locale)) ? "rtl" : "ltr";
+}
+
+function lookup(catalogue, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalogue);
+}
+
+// Returns t(key, vars): the catalogue string for `key` ("welcomeDiscount.subject") with {name}
+// placeholders filled in. Keys missing from a catalogue fall back to English.
+export function translator(locale) {
+  const catalogue = CATALOGUES[resolveLocale(locale)];
+  return (key, vars = {}) => {
+    const message = lookup(catalogue, key) ?? lookup(CATALOGUES[DEFAULT_LOCALE], key);
+    if (typeof message !== "string") throw new Error(`Missing email translation "${key}"`);
+    return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match));
+  };
+}
@@ -0,0 +1,72 @@
+// email/locales/ar.js
+// Arabic copy for the transactional emails (see ../i18n.js). Rendered right-to-left.
+
+export default {
+  common: {
+    greeting: "مرحباً {name}،",
+    defaultName: "بك",
+    copyright: "© {year} {brand}",
+    unsubscribe: "إلغاء الاشتراك",
+  },
+
+  productGrid: {
+    badges: {
+      backInStock: "عاد إلى المخزون",
+      new: "جديد",
+    },
+    cta: "عرض",
+  },
+
+  backInStock: {
+    subject: "{product} متوفر مجدداً",
+    subjectFallback: "المنتج الذي طلبته متوفر مجدداً",
+    preheader: "طلبت منا أن نخبرك، لذا أنت من أوائل من يعرف.",
+    heading: "عاد إلى المخزون 🎉",
+    productFallback: "المنتج الذي طلبته",
+    line1: "خبر سار — {product} متوفر مجدداً.",
+    line2: "طلبت منا أن نخبرك، لذا أنت من أوائل من يعرف. الكميات محدودة، فسارع بالحصول عليه قبل أن ينفد مرة أخرى.",
+    priceOnSale: "كان {was}، الآن {now}",
+    cta: "تسوّق الآن",
+  },
+
+  confirmSubscription: {
+    subject: "أنت على القائمة لـ {product}",
+    subjectFallback: "أنت على القائمة!",
+    preheader: "شكراً لتسجيلك لتصلك رسالة عند عودة هذا المنتج.",
+    heading: "أنت على القائمة ✨",
+    productFallback: "هذا المنتج",
+    line1: "شكراً لتسجيلك لتصلك رسالة عند عودة {product}.",
+    line2: "بمجرد توفره من جديد، سنرسل لك رسالة لتكون أول من يحصل عليه.",
+    line3: "وأثناء الانتظار، ألقِ نظرة على منتجاتنا المرحة الأخرى المستوحاة من التقاليد العربية وسحر الطفولة.",
+    gridHeading: "قد يعجبك أيضاً",
+    cta: "تسوّق الكل",
+  },
+
+  doubleOptIn: {
+    subject: "يرجى تأكيد تنبيه توفر المنتج",
+    preheader: "نقرة واحدة للتأكيد وسنخبرك عند عودته.",
+    heading: "يرجى تأكيد بريدك الإلكتروني ✉️",
+    productFallback: "هذا المنتج",
+    line1: "طلب أحدهم (نأمل أن تكون أنت!) أن نُعلم هذا العنوان عند عودة {product} إلى المخزون.",
+    line2: "اضغط على الزر أدناه خلال {hours} ساعة للتأكيد. إن لم تكن أنت، فتجاهل هذه الرسالة ولن نراسلك مجدداً.",
+    cta: "نعم، أعلمني",
+  },
+
+  expiryReminder: {
+    subject: "هديتك الترحيبية تنتهي قريباً ⏳",
+    preheader: "رمز الخصم الترحيبي بانتظارك حتى {date}.",
+    heading: "هديتك الترحيبية تنتهي قريباً ⏳",
+    line1: "مجرد تذكير لطيف بأن رمز الخصم الترحيبي لا يزال بانتظارك، ولكن حتى {date} فقط.",
+    line2: "استخدمه عند الدفع، أو اضغط على الزر وسنطبّقه لك.",
+    cta: "استخدم رمزي",
+  },
+
+  welcomeDiscount: {
+    subject: "هديتك الترحيبية من Mish Mush Kids 🎁",
+    preheader: "إليك هدية ترحيبية صغيرة لطلبك الأول.",
+    heading: "أهلاً بك في Mish Mush Kids ✨",
+    line1: "شكراً لانضمامك إلى عائلتنا الصغيرة! إليك هدية ترحيبية لطلبك الأول.",
+    line2: "استخدم الرمز أدناه عند الدفع، أو اضغط على الزر وسنطبّقه لك.",
+    cta: "ابدأ التسوق",
+  },
+};
@@ -0,0 +1,72 @@
+// email/locales/en.js
+// English copy for the transactional emails (see ../i18n.js).
+
+export default {
+  common: {
+    greeting: "Hi {name},",
+    defaultName: "there",
+    copyright: "© {year} {brand}",
+    unsubscribe: "Unsubscribe",
+  },
+
+  productGrid: {
+    badges: {
+      backInStock: "Back in stock",
+      new: "New",
+    },
+    cta: "View",
+  },
+
+  backInStock: {
+    subject: "{product} is back in stock",
+    subjectFallback: "Your item is back in stock",
+    preheader: "You asked us to let you know, so you’re among the first to hear.",
+    heading: "It's back in stock 🎉",
+    productFallback: "your item",
+    line1: "Good news — {product} is back in stock.",
+    line2: "You asked us to let you know, so you’re among the first to hear. Quantities are limited, so grab it before it’s gone again.",
+    priceOnSale: "Was {was}, now {now}",
+    cta: "Shop now",
+  },
+
+  confirmSubscription: {
+    subject: "You’re on the list for the {product}",
+    subjectFallback: "You’re on the list!",
+    preheader: "Thank you for signing up to be notified when this item is back.",
+    heading: "You're on the list ✨",
+    productFallback: "this item",
+    line1: "Thank you for signing up to be notified when {product} is back.",
+    line2: "As soon as it’s restocked, we’ll send you a note so you can be first to grab it.",
+    line3: "While you wait, take a peek at our other playful favorites inspired by Arabic traditions and childhood magic.",
+    gridHeading: "You might also like",
+    cta: "Shop all",
+  },
+
+  doubleOptIn: {
+    subject: "Please confirm your back-in-stock alert",
+    preheader: "One tap to confirm and we’ll let you know when it’s back.",
+    heading: "Please confirm your email ✉️",
+    productFallback: "this item",
+    line1: "Someone (hopefully you!) asked us to let this address know when {product} is back in stock.",
+    line2: "Tap the button below within {hours} hours to confirm. If it wasn’t you, just ignore this email and we won’t write again.",
+    cta: "Yes, notify me",
+  },
+
+  expiryReminder: {
+    subject: "Your welcome gift expires soon ⏳",
+    preheader: "Your welcome code is waiting for you until {date}.",
+    heading: "Your welcome gift expires soon ⏳",
+    line1: "Just a little reminder that your welcome code is still waiting for you, but only until {date}.",
+    line2: "Use it at checkout, or tap the button and we’ll apply it for you.",
+    cta: "Use my code",
+  },
+
+  welcomeDiscount: {
+    subject: "Your welcome gift from Mish Mush Kids 🎁",
+    preheader: "Here’s a little welcome gift for your first order.",
+    heading: "Welcome to Mish Mush Kids ✨",
+    line1: "Thank you for joining our little family! Here’s a welcome gift for your first order.",
+    line2: "Use the code below at checkout, or tap the button and we’ll apply it for you.",
+    cta: "Start shopping",
+  },
+};
@@ -25,43 +25,64 @@ const sampleData = {
       altText: "Clementines Art Print"
     }
   },
-  shopDomain: "mishmushkids.com"
+  shopDomain: "mishmushkids.com",
+  locale: process.env.PREVIEW_LOCALE || "en", // e.g. PREVIEW_LOCALE=ar for the right-to-left Arabic version
+  unsubscribeUrl: "https://mishmushkids.com/api/unsubscribe?token=preview"
 };
 
-// Mock new arrivals grid items
-sampleData.newArrivalsProducts = [
+// Mock recommendations (the shape returned by lib/waitlist/recommendations.js)
+sampleData.recommendedProducts = [
   {
-    title: "New Arrival One",
-    handle: "new-arrival-one",
-    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "New Arrival One" }
+    title: "Ramadan Lantern Print",
+    badge: "new",
+    handle: "ramadan-lantern-print",
+    url: "https://mishmushkids.com/products/ramadan-lantern-print",
+    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "Ramadan Lantern Print" },
+    price: { amount: "120.00", currencyCode: "AED" },
+    compareAtPrice: null
   },
   {
-    title: "New Arrival Two",
-    handle: "new-arrival-two",
-    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "New Arrival Two" }
+    title: "Tatreez Cushion",
+    badge: "backInStock",
+    handle: "tatreez-cushion",
+    url: "https://mishmushkids.com/products/tatreez-cushion",
+    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "Tatreez Cushion" },
+    price: { amount: "185.00", currencyCode: "AED" },
+    compareAtPrice: { amount: "220.00", currencyCode: "AED" }
   },
   {
-    title: "New Arrival Three",
-    handle: "new-arrival-three",
-    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "New Arrival Three" }
+    title: "Arabic Alphabet Puzzle",
+    handle: "arabic-alphabet-puzzle",
+    url: "https://mishmushkids.com/products/arabic-alphabet-puzzle",
+    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "Arabic Alphabet Puzzle" },
+    price: { amount: "95.00", currencyCode: "AED" },
+    compareAtPrice: null
   },
   {
-    title: "New Arrival Four",
-    handle: "new-arrival-four",
-    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "New Arrival Four" }
+    title: "Falafel Plush Toy",
+    handle: "falafel-plush-toy",
+    url: "https://mishmushkids.com/products/falafel-plush-toy",
+    featuredImage: { url: "https://cdn.shopify.com/shopify-email/example-image.jpg", altText: "Falafel Plush Toy" },
+    price: { amount: "75.00", currencyCode: "AED" },
+    compareAtPrice: null
   }
 ];
 
-// Generate the email HTML (now returns a full HTML document)
-const emailHtml = buildConfirmSubscriptionEmail(sampleData);
+// Generate the email (a full HTML document plus its plain-text alternative)
+const email = buildConfirmSubscriptionEmail(sampleData);
 
 // Save the preview file (write the generated HTML directly)
 const previewPath = join(__dirname, "email-preview.html");
-writeFileSync(previewPath, emailHtml, "utf8");
+writeFileSync(previewPath, email.html, "utf8");
 
 console.log("✅ Email preview generated!");
 console.log(`📄 File saved to: ${previewPath}`);
 console.log("");
+console.log(`✉️  Subject: ${email.subject}`);
+console.log(`👀 Preheader: ${email.preheader}`);
+console.log("");
+console.log("📝 Plain-text part:");
+console.log(email.text);
 console.log("📋 Next steps:");
 console.log("1. Open email-preview.html in your browser");
 console.log("2. Test by sending via your ESP or tools like Litmus/Email on Acid");
@@ -0,0 +1,78 @@
+// email/theme.js
+// Design tokens for the email components: colours (light and dark), fonts, logo, spacing and
+// footer. Templates take a `theme` option; createTheme() layers those overrides on DEFAULT_THEME,
+// so a seasonal campaign or sister brand only lists what differs, e.g.
+//   createTheme({ colors: { accent: "#c9e4de" }, logo: { url: "https://cdn.shopify.com/.../eid.png" } })
+//
+// `darkColors` are applied through prefers-color-scheme (Apple Mail, iOS Mail, Outlook.com).
+// Clients that invert colours themselves, like the Gmail apps, ignore them.
+
+export const DEFAULT_THEME = Object.freeze({
+  brandName: "Mish Mush Kids",
+  colors: Object.freeze({
+    primary: "#432f0b", // headings, links, dividers
+    accent: "#f0a76f", // buttons
+    buttonText: "#432f0b",
+    background: "#ffffff", // around the email
+    surface: "#ffffff", // email body
+    text: "#555555",
+    muted: "#666666",
+    footerBackground: "#f0a76f",
+    footerText: "#432f0b",
+  }),
+  darkColors: Object.freeze({
+    primary: "#f5e6d0",
+    accent: "#f0a76f",
+    buttonText: "#432f0b",
+    background: "#14110d",
+    surface: "#1f1a14",
+    text: "#d8cbbb",
+    muted: "#b3a594",
+    footerBackground: "#3a2c1c",
+    footerText: "#f5e6d0",
+  }),
+  fonts: Object.freeze({
+    body: "'Lucida Grande', 'Lucida Sans Unicode', 'Lucida Sans', Lucida, Helvetica, Arial, sans-serif",
+    heading: "'Lucida Grande', 'Lucida Sans Unicode', 'Lucida Sans', Lucida, Helvetica, Arial, sans-serif",
+  }),
+  logo: Object.freeze({
+    url: "https://mishmushkids.com/cdn/shop/files/mishmush.webp",
+    darkUrl: "", // optional variant for dark backgrounds
+    alt: "Mish Mush Kids",
+    width: 160,
+    href: "https://mishmushkids.com",
+  }),
+  spacing: Object.freeze({
+    gutter: "60px", // left/right padding of every block
+    section: "24px", // vertical padding of the intro and footer
+    radius: "12px", // button corners
+  }),
+  footer: Object.freeze({
+    address: Object.freeze(["Mish Mush Kids"]), // lines shown above the copyright
+  }),
+});
+
+const GROUPS = ["colors", "darkColors", "fonts", "logo", "spacing", "footer"];
+
+// Colours also end up inside the <style> block, where escaping doesn't apply, so only plain
+// CSS colour values are accepted.
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i;
+
+function assertColors(colors, group) {
+  for (const [name, value] of Object.entries(colors)) {
+    if (!COLOR_PATTERN.test(String(value))) {
+      throw new Error(`Invalid email theme colour ${group}.${name}: "${value}"`);
+    }
+  }
+}
+
+export function createTheme(overrides = {}) {
+  if (!overrides || overrides === DEFAULT_THEME) return DEFAULT_THEME;
+  const theme = { ...DEFAULT_THEME, ...overrides };
+  for (const group of GROUPS) {
+    theme[group] = { ...DEFAULT_THEME[group], ...(overrides[group] || {}) };
+  }
+  assertColors(theme.colors, "colors");
+  assertColors(theme.darkColors, "darkColors");
+  return Object.freeze(theme);
+}
@@ -0,0 +1,49 @@
+// email/welcome-discount.js
+// buildWelcomeDiscountEmail: assembles the welcome discount email using reusable components.
+// Returns { subject, preheader, html, text }.
+
+import { renderLayout, renderHeader, renderHeading, renderIntro, renderHr, renderFooter, renderButton } from "./components.js";
+import { resolveLocale, translator } from "./i18n.js";
+import { createTheme } from "./theme.js";
+
+export function buildWelcomeDiscountEmail({ firstName, code, shopDomain, unsubscribeUrl, preheader, locale, theme }) {
+  const lang = resolveLocale(locale);
+  const t = translator(lang);
+  const emailTheme = createTheme(theme);
+  const name = firstName || t("common.defaultName");
+  const subject = t("welcomeDiscount.subject");
+  const preview = preheader ?? t("welcomeDiscount.preheader");
+
+  const header = renderHeader({ theme: emailTheme });
+
+  const heading = renderHeading({ text: t("welcomeDiscount.heading"), theme: emailTheme });
+  const intro = renderIntro({
+    lines: [
+      t("common.greeting", { name }),
+      t("welcomeDiscount.line1"),
+      t("welcomeDiscount.line2"),
+    ],
+    locale: lang,
+    theme: emailTheme,
+  });
+
+  const codeHeading = renderHeading({ text: code, size: "28px", theme: emailTheme });
+  // Shopify's /discount/{code} link applies the code and then redirects to the storefront
+  const shopCta = renderButton({
+    href: `https://${shopDomain}/discount/${encodeURIComponent(code)}`,
+    label: t("welcomeDiscount.cta"),
+    theme: emailTheme,
+  });
+
+  const divider = renderHr({ theme: emailTheme });
+  const footer = renderFooter({ unsubscribeUrl, locale: lang, theme: emailTheme });
+
+  const { html, text } = renderLayout({
+    preheader: preview,
+    locale: lang,
+    theme: emailTheme,
+    blocks: [header, divider, heading, intro, codeHeading, shopCta, footer],
+  });
+
+  return { subject, preheader: preview, html, text };
+}
@@ -0,0 +1,40 @@
+// lib/bot-check.js
+// Optional bot checks for public form endpoints:
+//   Honeypot  — a form field real visitors never see or fill in (NOTIFY_HONEYPOT_FIELD, e.g.
+//               "website"); any value in it means a bot filled the form.
+//   Turnstile — Cloudflare Turnstile token from the widget (TURNSTILE_SECRET_KEY), sent as
+//               `turnstileToken` or the widget's default `cf-turnstile-response` field and
+//               checked with Cloudflare's siteverify API.
+// Each check only runs when it is configured.
+
+const NOTIFY_HONEYPOT_FIELD = process.env.NOTIFY_HONEYPOT_FIELD || "";
+const TURNSTILE_SECRET_KEY = process.env.TURNSTILE_SECRET_KEY || "";
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+async function verifyTurnstile(token, remoteIp) {
+  const body = new URLSearchParams({ secret: TURNSTILE_SECRET_KEY, response: token });
+  if (remoteIp) body.set("remoteip", remoteIp);
+  const res = await fetch(TURNSTILE_VERIFY_URL, { method: "POST", body });
+  if (!res.ok) throw new Error(`Turnstile siteverify ${res.status}`);
+  const result = await res.json();
+  return { success: Boolean(result?.success), errorCodes: result?.["error-codes"] || [] };
+}
+
+// Returns { ok: true } or { ok: false, reason }.
+export async function checkBot(payload, { remoteIp } = {}) {
+  if (NOTIFY_HONEYPOT_FIELD && String(payload?.[NOTIFY_HONEYPOT_FIELD] ?? "").trim() !== "") {
+    return { ok: false, reason: "Request rejected" };
+  }
+
+  if (TURNSTILE_SECRET_KEY) {
+    const token = payload?.turnstileToken || payload?.["cf-turnstile-response"];
+    if (!token) return { ok: false, reason: "Missing verification token" };
+    const { success, errorCodes } = await verifyTurnstile(String(token), remoteIp);
+    if (!success) {
+      console.warn("bot-check: Turnstile rejected token", { errorCodes });
+      return { ok: false, reason: "Verification failed, please try again" };
+    }
+  }
+
+  return { ok: true };
+}
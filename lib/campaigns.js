@@ -0,0 +1,120 @@
+// lib/campaigns.js
+// Discount campaigns issued by generate-discount (and cleaned up by maintenance).
+//
+// Each campaign reads its settings from env vars prefixed with its key, e.g. for "birthday":
+//   BIRTHDAY_DISCOUNT_BACKEND   "price_rule" | "graphql" (defaults to DISCOUNT_BACKEND)
+//   BIRTHDAY_PRICE_RULE_ID      price rule the codes are added to (price_rule backend)
+//   BIRTHDAY_DISCOUNT_ID        existing DiscountCodeNode to add codes to (graphql backend)
+//   BIRTHDAY_DISCOUNT_PERCENT / BIRTHDAY_DISCOUNT_AMOUNT  per-customer discount value (graphql backend)
+//   BIRTHDAY_DISCOUNT_TITLE     title prefix for per-customer discounts
+//   BIRTHDAY_CODE_PREFIX        code prefix
+//   BIRTHDAY_CODE_VALID_DAYS    per-code expiry in days, 0 = none. Only the graphql backend can
+//                               expire single codes, so price_rule campaigns must set it to 0
+//                               and rely on the price rule's own end date
+//   BIRTHDAY_EMAIL_THEME        JSON overrides for the campaign's email design tokens (email/theme.js),
+//                               e.g. {"colors":{"accent":"#c9e4de"}}
+// The welcome campaign also honours the original PRICE_RULE_ID and DISCOUNT_CODE_PREFIX.
+//
+// The issued code is stored on the customer under metafields.namespace / metafields.code, which
+// is what makes generation idempotent per customer per campaign, or per customer per calendar
+// year (UTC) for `perYear` campaigns such as birthday. api/discount-redemption.js
+// fills in the used / orderId / redeemedAt / amount metafields once the code is redeemed, and
+// api/maintenance.js sets reminderSentAt when it warns the customer their code is about to expire.
+// For campaigns that send their own email, generate-discount sets emailSent once it was
+// delivered, or emailQueued while the email waits in the outbox for a retry.
+
+import { createCodeGenerator, ENV_CODE_OPTIONS } from "./discounts/code-generator.js";
+import { createTheme } from "../email/theme.js";
+
+const DISCOUNT_BACKEND = process.env.DISCOUNT_BACKEND || "price_rule";
+
+export const DEFAULT_CAMPAIGN = "welcome";
+
+// Validated here so a bad colour is reported at startup rather than failing an email send.
+function parseEmailTheme(key, raw) {
+  if (!raw) return null;
+  try {
+    return createTheme(JSON.parse(raw));
+  } catch (err) {
+    console.warn(`campaigns: ignoring invalid ${key.toUpperCase()}_EMAIL_THEME`, { error: err.message });
+    return null;
+  }
+}
+
+function defineCampaign(key, { title, codePrefix, validDays = 0, priceRuleId, sendsEmail = false, perYear = false }) {
+  const env = (name) => process.env[`${key.toUpperCase()}_${name}`];
+  const campaign = {
+    key,
+    backend: env("DISCOUNT_BACKEND") || DISCOUNT_BACKEND,
+    priceRuleId: env("PRICE_RULE_ID") || priceRuleId,
+    discountId: env("DISCOUNT_ID"),
+    percent: env("DISCOUNT_PERCENT"),
+    amount: env("DISCOUNT_AMOUNT"),
+    title: env("DISCOUNT_TITLE") || title,
+    codePrefix: env("CODE_PREFIX") ?? codePrefix,
+    validDays: env("CODE_VALID_DAYS") !== undefined ? Number(env("CODE_VALID_DAYS")) || 0 : validDays,
+    metafields: {
+      namespace: "custom",
+      code: `${key}_discount_code`,
+      used: `${key}_discount_used`,
+      emailSent: `${key}_email_sent`,
+      emailQueued: `${key}_email_queued`,
+      orderId: `${key}_discount_order_id`,
+      redeemedAt: `${key}_discount_redeemed_at`,
+      amount: `${key}_discount_amount`,
+      reminderSentAt: `${key}_expiry_reminder_sent_at`,
+    },
+    sendsEmail,
+    perYear,
+    emailTheme: parseEmailTheme(key, env("EMAIL_THEME")),
+  };
+  campaign.codeGenerator = createCodeGenerator({ ...ENV_CODE_OPTIONS, prefix: campaign.codePrefix });
+  return Object.freeze(campaign);
+}
+
+export const CAMPAIGNS = Object.freeze({
+  welcome: defineCampaign("welcome", {
+    title: "Welcome",
+    codePrefix: ENV_CODE_OPTIONS.prefix,
+    priceRuleId: process.env.PRICE_RULE_ID,
+    sendsEmail: true,
+  }),
+  birthday: defineCampaign("birthday", { title: "Birthday", codePrefix: "BDAY-", validDays: 30, perYear: true }),
+  winback: defineCampaign("winback", { title: "Win-back", codePrefix: "MISSYOU-", validDays: 14 }),
+  referral: defineCampaign("referral", { title: "Referral", codePrefix: "FRIEND-", validDays: 60 }),
+});
+
+export function getCampaign(key = DEFAULT_CAMPAIGN) {
+  return Object.hasOwn(CAMPAIGNS, key) ? CAMPAIGNS[key] : null;
+}
+
+// Env vars a campaign still needs before it can issue codes.
+export function missingCampaignConfig(campaign) {
+  const prefix = campaign.key.toUpperCase();
+  if (campaign.backend === "price_rule") {
+    return campaign.priceRuleId ? [] : [`${prefix}_PRICE_RULE_ID`];
+  }
+  if (campaign.backend === "graphql") {
+    if (campaign.discountId || campaign.percent || campaign.amount) return [];
+    return [`${prefix}_DISCOUNT_ID or ${prefix}_DISCOUNT_PERCENT or ${prefix}_DISCOUNT_AMOUNT`];
+  }
+  return [`${prefix}_DISCOUNT_BACKEND ("price_rule" or "graphql")`];
+}
+
+// Settings that can't work together; generate-discount won't issue codes until they're fixed.
+// Maintenance can still clean up such a campaign's codes.
+export function invalidCampaignConfig(campaign) {
+  const prefix = campaign.key.toUpperCase();
+  if (campaign.backend === "price_rule" && campaign.validDays > 0) {
+    return [
+      `${prefix}_CODE_VALID_DAYS is ${campaign.validDays}, but price rule codes can't expire on their own: ` +
+        `set it to 0 to use the price rule's end date, or use ${prefix}_DISCOUNT_BACKEND=graphql`,
+    ];
+  }
+  return [];
+}
+
+// Campaigns with complete config; maintenance only looks at these.
+export function configuredCampaigns() {
+  return Object.values(CAMPAIGNS).filter((c) => missingCampaignConfig(c).length === 0);
+}
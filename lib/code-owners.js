@@ -0,0 +1,90 @@
+// lib/code-owners.js
+// Resolves which customer owns each issued discount code via the campaign metafields that
+// generate-discount writes (e.g. custom.welcome_discount_code).
+//
+// Customer search can't filter on metafield values, so this pages through customers and reads
+// every campaign's metafields with aliased fields. Only call it when a task needs owners, for
+// as few campaigns as possible, and pass `codes` when only some owners are needed so the scan
+// stops once they are all found.
+
+import { shopifyGraphqlPages } from "./shopify.js";
+
+const FLAG_KEYS = ["emailSent", "used"];
+const VALUE_KEYS = ["code", "reminderSentAt"];
+const MAX_PAGE_SIZE = 50;
+// Shopify rejects queries over 1000 points; a page costs about two points per customer (the node
+// and emailMarketingConsent) plus one per aliased metafield.
+const QUERY_COST_BUDGET = 900;
+
+function aliasFor(campaign, field) {
+  return `${campaign.key}_${field}`;
+}
+
+function pageSizeFor(campaigns) {
+  const costPerCustomer = 2 + campaigns.length * (VALUE_KEYS.length + FLAG_KEYS.length);
+  return Math.max(1, Math.min(MAX_PAGE_SIZE, Math.floor(QUERY_COST_BUDGET / costPerCustomer)));
+}
+
+// Returns { owners, complete }: owners is Map(CODE -> { customerId, email, firstName, locale,
+// unsubscribed, campaign, emailSent, used, reminderSentAt }). `complete` is false when the
+// deadline cut the scan short before every customer (or every code in `codes`) was seen; codes
+// missing from an incomplete result may still have an owner.
+export async function loadCodeOwners(campaigns, { codes = null, deadline = Infinity } = {}) {
+  const wanted = codes ? new Set(codes.map((code) => String(code).trim().toUpperCase())) : null;
+  const owners = new Map();
+  if (!campaigns.length || wanted?.size === 0) return { owners, complete: true };
+
+  const fields = campaigns
+    .flatMap((campaign) =>
+      [...VALUE_KEYS, ...FLAG_KEYS].map(
+        (field) =>
+          `${aliasFor(campaign, field)}: metafield(namespace: "${campaign.metafields.namespace}", key: "${campaign.metafields[field]}") { value }`
+      )
+    )
+    .join("\n              ");
+
+  const pages = shopifyGraphqlPages(
+    `
+      query CodeOwners($first: Int!, $after: String) {
+        customers(first: $first, after: $after) {
+          nodes {
+            id
+            email
+            firstName
+            locale
+            emailMarketingConsent { marketingState }
+            ${fields}
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    { first: pageSizeFor(campaigns) },
+    (data) => data?.customers
+  );
+
+  for await (const { nodes, next } of pages) {
+    for (const customer of nodes) {
+      for (const campaign of campaigns) {
+        const code = customer[aliasFor(campaign, "code")]?.value;
+        if (!code) continue;
+        const key = String(code).trim().toUpperCase();
+        if (wanted && !wanted.has(key)) continue;
+        owners.set(key, {
+          customerId: customer.id,
+          email: customer.email,
+          firstName: customer.firstName,
+          locale: customer.locale,
+          unsubscribed: customer.emailMarketingConsent?.marketingState === "UNSUBSCRIBED",
+          campaign: campaign.key,
+          emailSent: customer[aliasFor(campaign, "emailSent")]?.value === "true",
+          used: customer[aliasFor(campaign, "used")]?.value === "true",
+          reminderSentAt: customer[aliasFor(campaign, "reminderSentAt")]?.value || null,
+        });
+      }
+    }
+    if (wanted && owners.size === wanted.size) return { owners, complete: true };
+    if (next && Date.now() >= deadline) return { owners, complete: false };
+  }
+  return { owners, complete: true };
+}
@@ -0,0 +1,51 @@
+// lib/discounts/code-generator.js
+// Cryptographically secure discount code generator.
+//
+// Codes look like `${prefix}${body}[check]`. The default alphabet leaves out characters that
+// are easy to confuse when typed from an email (0/O, 1/I/L). The optional check character is
+// Luhn mod N over the alphabet. Nothing in this app verifies it; Shopify's checkout matches
+// codes exactly.
+
+import { randomInt } from "crypto";
+
+export const DEFAULT_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function luhnCheckChar(body, alphabet) {
+  const n = alphabet.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * alphabet.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  return alphabet[(n - (sum % n)) % n];
+}
+
+export function createCodeGenerator({
+  prefix = "MISHMUSH-",
+  length = 8,
+  alphabet = DEFAULT_ALPHABET,
+  checkChar = false,
+} = {}) {
+  const chars = [...new Set(String(alphabet).toUpperCase())].join("");
+  if (chars.length < 2) throw new Error("Discount code alphabet needs at least 2 distinct characters");
+  if (!Number.isInteger(length) || length < 1) throw new Error("Discount code length must be a positive integer");
+
+  function generate() {
+    let body = "";
+    for (let i = 0; i < length; i++) body += chars[randomInt(chars.length)];
+    return `${prefix}${body}${checkChar ? luhnCheckChar(body, chars) : ""}`;
+  }
+
+  return { generate };
+}
+
+// Shop-wide defaults from env; campaigns override the prefix (see lib/campaigns.js).
+export const ENV_CODE_OPTIONS = Object.freeze({
+  prefix: process.env.DISCOUNT_CODE_PREFIX ?? "MISHMUSH-",
+  length: Number(process.env.DISCOUNT_CODE_LENGTH) || 8,
+  alphabet: process.env.DISCOUNT_CODE_ALPHABET || DEFAULT_ALPHABET,
+  checkChar: process.env.DISCOUNT_CODE_CHECK_CHAR === "true",
+});
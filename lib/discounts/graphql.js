@@ -0,0 +1,231 @@
+// lib/discounts/graphql.js
+// GraphQL discount backend. Two modes:
+//   per-customer (default) — one discountCodeBasicCreate per code, usable once and only by
+//                            that customer, with optional start/end dates per code.
+//   shared discount        — with discountId set, codes are added to that existing
+//                            DiscountCodeNode via discountRedeemCodeBulkAdd instead.
+//
+// Per-customer discounts are titled `${title} ${code}` so they can be listed again by title.
+// Codes on a shared discount have no creation date in the API; they expire with the discount
+// itself, so they are listed with created_at: null.
+
+import { shopifyGraphql, shopifyGraphqlPages, assertNoUserErrors, ShopifyUserError } from "../shopify.js";
+
+const BULK_POLL_ATTEMPTS = 10;
+const BULK_POLL_DELAY_MS = 500;
+const BULK_DELETE_CHUNK = 250;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function discountValue({ percent, amount }) {
+  if (percent) return { percentage: Number(percent) / 100 };
+  return { discountAmount: { amount: Number(amount), appliesOnEachItem: false } };
+}
+
+async function createCustomerDiscount({ code, customerGid, startsAt, endsAt, title, percent, amount }) {
+  const data = await shopifyGraphql(
+    `
+      mutation CreateCustomerDiscount($basicCodeDiscount: DiscountCodeBasicInput!) {
+        discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+          codeDiscountNode {
+            id
+            codeDiscount {
+              ... on DiscountCodeBasic {
+                codes(first: 1) { nodes { id code } }
+              }
+            }
+          }
+          userErrors { field message code }
+        }
+      }
+    `,
+    {
+      basicCodeDiscount: {
+        title: `${title} ${code}`,
+        code,
+        startsAt: startsAt || new Date().toISOString(),
+        endsAt: endsAt || null,
+        customerSelection: { customers: { add: [customerGid] } },
+        customerGets: { value: discountValue({ percent, amount }), items: { all: true } },
+        usageLimit: 1,
+        appliesOncePerCustomer: true,
+      },
+    }
+  );
+  assertNoUserErrors("discountCodeBasicCreate", data?.discountCodeBasicCreate?.userErrors);
+
+  const node = data.discountCodeBasicCreate.codeDiscountNode;
+  const redeemCode = node?.codeDiscount?.codes?.nodes?.[0];
+  return { id: redeemCode?.id || node.id, code: redeemCode?.code || code, discountId: node.id };
+}
+
+async function addCodeToDiscount({ discountId, code }) {
+  const data = await shopifyGraphql(
+    `
+      mutation AddRedeemCode($discountId: ID!, $codes: [DiscountRedeemCodeInput!]!) {
+        discountRedeemCodeBulkAdd(discountId: $discountId, codes: $codes) {
+          bulkCreation { id }
+          userErrors { field message code }
+        }
+      }
+    `,
+    { discountId, codes: [{ code }] }
+  );
+  assertNoUserErrors("discountRedeemCodeBulkAdd", data?.discountRedeemCodeBulkAdd?.userErrors);
+
+  // Bulk add runs asynchronously; wait for it so collisions surface to the caller.
+  const bulkId = data.discountRedeemCodeBulkAdd.bulkCreation.id;
+  for (let attempt = 0; attempt < BULK_POLL_ATTEMPTS; attempt++) {
+    const status = await shopifyGraphql(
+      `
+        query RedeemCodeBulkCreation($id: ID!) {
+          discountRedeemCodeBulkCreation(id: $id) {
+            done
+            codes(first: 1) {
+              nodes {
+                code
+                errors { field message code }
+                discountRedeemCode { id code }
+              }
+            }
+          }
+        }
+      `,
+      { id: bulkId }
+    );
+    const creation = status?.discountRedeemCodeBulkCreation;
+    if (creation?.done) {
+      const result = creation.codes?.nodes?.[0];
+      if (result?.errors?.length) throw new ShopifyUserError("discountRedeemCodeBulkAdd", result.errors);
+      return { id: result?.discountRedeemCode?.id, code: result?.discountRedeemCode?.code || code, discountId };
+    }
+    await sleep(BULK_POLL_DELAY_MS);
+  }
+  throw new Error(`discountRedeemCodeBulkAdd ${bulkId} did not finish in time`);
+}
+
+function toCustomerDiscountRecord(node, title) {
+  const discount = node.codeDiscount;
+  const redeemCode = discount?.codes?.nodes?.[0];
+  if (!redeemCode || !String(discount.title || "").startsWith(`${title} `)) return null;
+  return {
+    id: redeemCode.id,
+    code: redeemCode.code,
+    usage_count: redeemCode.asyncUsageCount,
+    created_at: discount.createdAt,
+    discountId: node.id,
+  };
+}
+
+async function* listCustomerDiscountPages({ title, after }) {
+  const pages = shopifyGraphqlPages(
+    `
+      query CustomerDiscounts($query: String, $after: String) {
+        codeDiscountNodes(first: 250, after: $after, query: $query) {
+          nodes {
+            id
+            codeDiscount {
+              ... on DiscountCodeBasic {
+                title
+                createdAt
+                codes(first: 1) { nodes { id code asyncUsageCount } }
+              }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    // Search only supports a prefix wildcard on a single term; the full prefix is checked too.
+    { query: `title:${title.split(/\s+/)[0]}*` },
+    (data) => data?.codeDiscountNodes,
+    after
+  );
+  for await (const { nodes, next } of pages) {
+    yield { codes: nodes.map((node) => toCustomerDiscountRecord(node, title)).filter(Boolean), next };
+  }
+}
+
+async function* listSharedDiscountPages({ discountId, after }) {
+  const pages = shopifyGraphqlPages(
+    `
+      query SharedDiscountCodes($id: ID!, $after: String) {
+        codeDiscountNode(id: $id) {
+          codeDiscount {
+            ... on DiscountCodeBasic {
+              codes(first: 250, after: $after) {
+                nodes { id code asyncUsageCount }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        }
+      }
+    `,
+    { id: discountId },
+    (data) => data?.codeDiscountNode?.codeDiscount?.codes,
+    after
+  );
+  for await (const { nodes, next } of pages) {
+    const codes = nodes.map((node) => ({
+      id: node.id,
+      code: node.code,
+      usage_count: node.asyncUsageCount,
+      created_at: null,
+      discountId,
+    }));
+    yield { codes, next };
+  }
+}
+
+export function createGraphqlBackend({ discountId, title = "Welcome", percent, amount }) {
+  return {
+    name: "graphql",
+
+    async createCode({ code, customerGid, startsAt, endsAt }) {
+      if (discountId) return addCodeToDiscount({ discountId, code });
+      return createCustomerDiscount({ code, customerGid, startsAt, endsAt, title, percent, amount });
+    },
+
+    // Yields { codes, next }; `next` resumes listing from the following page.
+    listCodePages(cursor = null) {
+      if (discountId) return listSharedDiscountPages({ discountId, after: cursor });
+      return listCustomerDiscountPages({ title, after: cursor });
+    },
+
+    // Both mutations start asynchronous jobs; the codes disappear shortly after they return.
+    async deleteCodes(records) {
+      for (let i = 0; i < records.length; i += BULK_DELETE_CHUNK) {
+        const chunk = records.slice(i, i + BULK_DELETE_CHUNK);
+        if (discountId) {
+          const data = await shopifyGraphql(
+            `
+              mutation DeleteRedeemCodes($discountId: ID!, $ids: [ID!]!) {
+                discountCodeRedeemCodeBulkDelete(discountId: $discountId, ids: $ids) {
+                  job { id }
+                  userErrors { field message code }
+                }
+              }
+            `,
+            { discountId, ids: chunk.map((r) => r.id) }
+          );
+          assertNoUserErrors("discountCodeRedeemCodeBulkDelete", data?.discountCodeRedeemCodeBulkDelete?.userErrors);
+          continue;
+        }
+
+        const data = await shopifyGraphql(
+          `
+            mutation DeleteCustomerDiscounts($ids: [ID!]!) {
+              discountCodeBulkDelete(ids: $ids) {
+                job { id }
+                userErrors { field message code }
+              }
+            }
+          `,
+          { ids: chunk.map((r) => r.discountId) }
+        );
+        assertNoUserErrors("discountCodeBulkDelete", data?.discountCodeBulkDelete?.userErrors);
+      }
+    },
+  };
+}
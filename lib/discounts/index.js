@@ -0,0 +1,56 @@
+// lib/discounts/index.js
+// Discount code backends used by generate-discount (create) and maintenance (list/delete).
+//
+// Each campaign (lib/campaigns.js) picks its backend while we migrate off REST price rules:
+//   "price_rule" — legacy /price_rules/{id}/discount_codes, see ./price-rule.js
+//   "graphql"    — GraphQL discount APIs, see ./graphql.js
+//
+// Every backend implements createCode({ code, customerGid, startsAt, endsAt }),
+// listCodePages(cursor) and deleteCodes(records). Listed records share the REST shape
+// { id, code, usage_count, created_at } so callers don't care which backend is active.
+
+import { shopifyGraphql, ShopifyApiError } from "../shopify.js";
+import { createPriceRuleBackend } from "./price-rule.js";
+import { createGraphqlBackend } from "./graphql.js";
+
+const backends = new Map(); // campaign key -> backend
+
+export function getDiscountBackend(campaign) {
+  if (backends.has(campaign.key)) return backends.get(campaign.key);
+  let backend;
+  if (campaign.backend === "price_rule") {
+    backend = createPriceRuleBackend({ priceRuleId: campaign.priceRuleId });
+  } else if (campaign.backend === "graphql") {
+    backend = createGraphqlBackend({
+      discountId: campaign.discountId, // gid://shopify/DiscountCodeNode/...
+      title: campaign.title,
+      percent: campaign.percent, // e.g. "10"
+      amount: campaign.amount, // e.g. "5.00"
+    });
+  } else {
+    throw new Error(`Unknown discount backend "${campaign.backend}" (expected "price_rule" or "graphql")`);
+  }
+  backends.set(campaign.key, backend);
+  return backend;
+}
+
+// Codes are unique across the whole shop, whichever backend created them.
+export async function codeExists(code) {
+  const data = await shopifyGraphql(
+    `
+      query DiscountCodeExists($code: String!) {
+        codeDiscountNodeByCode(code: $code) { id }
+      }
+    `,
+    { code }
+  );
+  return Boolean(data?.codeDiscountNodeByCode?.id);
+}
+
+// Last line of defence against a race between codeExists() and createCode():
+// REST answers a duplicate code with 422; GraphQL with a TAKEN user error.
+export function isCodeCollision(err) {
+  if (!(err instanceof ShopifyApiError)) return false;
+  if (err.status === 422) return true;
+  return (err.userErrors || []).some((e) => e?.code === "TAKEN");
+}
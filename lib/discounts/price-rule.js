@@ -0,0 +1,58 @@
+// lib/discounts/price-rule.js
+// Legacy backend: codes live under a single REST price rule (PRICE_RULE_ID).
+// The price rule itself carries the value, usage limits and customer eligibility.
+//
+// Price rules are also exposed as GraphQL code discounts with the same numeric IDs, which is
+// how deleteCodes() removes many codes per request instead of one DELETE per code.
+
+import { shopifyFetch, shopifyGraphql, shopifyRestPages, assertNoUserErrors } from "../shopify.js";
+
+const BULK_DELETE_CHUNK = 250;
+
+export function createPriceRuleBackend({ priceRuleId }) {
+  return {
+    name: "price_rule",
+
+    async createCode({ code }) {
+      const res = await shopifyFetch(`/price_rules/${priceRuleId}/discount_codes.json`, {
+        method: "POST",
+        body: JSON.stringify({ discount_code: { code } }),
+      });
+      return { id: String(res.discount_code.id), code: res.discount_code.code };
+    },
+
+    // Yields { codes, next }; `next` resumes listing from the following page.
+    async *listCodePages(cursor = null) {
+      const start = cursor || `/price_rules/${priceRuleId}/discount_codes.json?limit=250`;
+      for await (const { data, next } of shopifyRestPages(start)) {
+        const codes = (data?.discount_codes || []).map((c) => ({
+          id: String(c.id),
+          code: c.code,
+          usage_count: c.usage_count,
+          created_at: c.created_at,
+        }));
+        yield { codes, next };
+      }
+    },
+
+    async deleteCodes(records) {
+      for (let i = 0; i < records.length; i += BULK_DELETE_CHUNK) {
+        const ids = records
+          .slice(i, i + BULK_DELETE_CHUNK)
+          .map((r) => `gid://shopify/DiscountRedeemCode/${r.id}`);
+        const data = await shopifyGraphql(
+          `
+            mutation DeletePriceRuleCodes($discountId: ID!, $ids: [ID!]!) {
+              discountCodeRedeemCodeBulkDelete(discountId: $discountId, ids: $ids) {
+                job { id }
+                userErrors { field message code }
+              }
+            }
+          `,
+          { discountId: `gid://shopify/DiscountCodeNode/${priceRuleId}`, ids }
+        );
+        assertNoUserErrors("discountCodeRedeemCodeBulkDelete", data?.discountCodeRedeemCodeBulkDelete?.userErrors);
+      }
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// lib/email-validation.js
+// Sanity checks for email addresses typed into public forms before we email them.
+//
+// The syntax check is deliberately pragmatic (one "@", sane lengths, a dotted domain made of
+// valid labels) rather than full RFC 5322. Disposable providers come from the built-in list
+// plus DISPOSABLE_EMAIL_DOMAINS (comma-separated); subdomains of a listed domain match too.
+
+const BUILT_IN_DISPOSABLE_DOMAINS = [
+  "10minutemail.com",
+  "discard.email",
+  "dispostable.com",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "getnada.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailnesia.com",
+  "mintemail.com",
+  "mohmal.com",
+  "sharklasers.com",
+  "spamgourmet.com",
+  "temp-mail.org",
+  "tempmail.com",
+  "tempmailo.com",
+  "throwawaymail.com",
+  "trashmail.com",
+  "yopmail.com",
+];
+
+const DISPOSABLE_DOMAINS = new Set([
+  ...BUILT_IN_DISPOSABLE_DOMAINS,
+  ...(process.env.DISPOSABLE_EMAIL_DOMAINS || "")
+    .split(",")
+    .map((d) => d.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+export function isDisposableDomain(domain) {
+  const labels = String(domain || "").toLowerCase().split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (DISPOSABLE_DOMAINS.has(labels.slice(i).join("."))) return true;
+  }
+  return false;
+}
+
+// Returns { ok: true } or { ok: false, reason }.
+export function validateEmail(email) {
+  const value = String(email || "").trim();
+  if (!value || value.length > 254) return { ok: false, reason: "Invalid email address" };
+
+  const at = value.lastIndexOf("@");
+  const local = value.slice(0, at);
+  const domain = value.slice(at + 1);
+  if (at < 1 || local.length > 64 || !LOCAL_PART.test(local)) {
+    return { ok: false, reason: "Invalid email address" };
+  }
+  const labels = domain.split(".");
+  if (labels.length < 2 || !labels.every((l) => DOMAIN_LABEL.test(l)) || /^\d+$/.test(labels.at(-1))) {
+    return { ok: false, reason: "Invalid email address" };
+  }
+  if (isDisposableDomain(domain)) {
+    return { ok: false, reason: "Disposable email addresses are not accepted" };
+  }
+  return { ok: true };
+}
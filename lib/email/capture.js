@@ -0,0 +1,23 @@
+// lib/email/capture.js
+// Development transport: nothing is sent. Each email is written to `dir` as
+// <timestamp>-<id>.json (the full message), .html (open it in a browser) and .txt (the plain-text
+// part, when there is one), and summarised on the console.
+
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { randomUUID } from "crypto";
+
+export function createCaptureTransport({ dir }) {
+  return {
+    async send(message) {
+      const id = randomUUID();
+      const base = join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${id}`);
+      await mkdir(dir, { recursive: true });
+      await writeFile(`${base}.json`, JSON.stringify({ id, ...message }, null, 2), "utf8");
+      await writeFile(`${base}.html`, message.html || "", "utf8");
+      if (message.text) await writeFile(`${base}.txt`, message.text, "utf8");
+      console.log("email: captured", { to: message.to, subject: message.subject, file: `${base}.html` });
+      return { id };
+    },
+  };
+}
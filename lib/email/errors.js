@@ -0,0 +1,12 @@
+// lib/email/errors.js
+// Thrown by every email transport when a message could not be sent.
+
+export class EmailSendError extends Error {
+  constructor(message, { transport = null, status = null, body = "", cause } = {}) {
+    super(message, { cause });
+    this.name = "EmailSendError";
+    this.transport = transport;
+    this.status = status;
+    this.body = body;
+  }
+}
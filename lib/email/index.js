@@ -0,0 +1,93 @@
+// lib/email/index.js
+// One sendEmail() for every route, behind pluggable transports.
+//
+// EMAIL_TRANSPORT selects the primary transport, EMAIL_FALLBACK_TRANSPORT an optional second one
+// that is tried when the primary fails:
+//   "resend" (default) — Resend HTTP API (RESEND_API_KEY), see ./resend.js
+//   "smtp"             — any SMTP server (SMTP_URL or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS),
+//                        see ./smtp.js
+//   "capture"          — writes each email to EMAIL_CAPTURE_DIR (default .data/emails) and logs it
+//                        instead of sending; for local development, see ./capture.js
+// EMAIL_FROM overrides the sender (default "Mish Mush Kids <support@em.mishmushkids.com>").
+// SHOP_DOMAIN is the storefront domain every email links to (default "mishmushkids.com").
+//
+// Every transport implements send(message) -> { id } and throws EmailSendError on failure.
+
+import { createResendTransport } from "./resend.js";
+import { createSmtpTransport } from "./smtp.js";
+import { createCaptureTransport } from "./capture.js";
+import { EmailSendError } from "./errors.js";
+
+export { EmailSendError };
+
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || "resend";
+const EMAIL_FALLBACK_TRANSPORT = process.env.EMAIL_FALLBACK_TRANSPORT || "";
+const EMAIL_FROM = process.env.EMAIL_FROM || "Mish Mush Kids <support@em.mishmushkids.com>";
+
+export const SHOP_DOMAIN = process.env.SHOP_DOMAIN || "mishmushkids.com";
+
+const transports = new Map(); // name -> transport
+
+function missingTransportConfig(name) {
+  if (name === "resend") return process.env.RESEND_API_KEY ? [] : ["RESEND_API_KEY"];
+  if (name === "smtp") return process.env.SMTP_URL || process.env.SMTP_HOST ? [] : ["SMTP_URL or SMTP_HOST"];
+  if (name === "capture") return [];
+  return [`EMAIL_TRANSPORT ("resend", "smtp" or "capture")`];
+}
+
+function getTransport(name) {
+  if (transports.has(name)) return transports.get(name);
+  let transport;
+  if (name === "resend") {
+    transport = createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+  } else if (name === "smtp") {
+    transport = createSmtpTransport({
+      url: process.env.SMTP_URL,
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  } else if (name === "capture") {
+    transport = createCaptureTransport({ dir: process.env.EMAIL_CAPTURE_DIR || ".data/emails" });
+  } else {
+    throw new Error(`Unknown email transport "${name}" (expected "resend", "smtp" or "capture")`);
+  }
+  transports.set(name, transport);
+  return transport;
+}
+
+// Env vars still needed before the primary transport can send; routes report these as 500s.
+export function missingEmailConfig() {
+  return missingTransportConfig(EMAIL_TRANSPORT);
+}
+
+export function isEmailConfigured() {
+  return missingEmailConfig().length === 0;
+}
+
+// Sends through the primary transport, then the fallback if one is configured.
+// Returns { id, transport }; throws the last EmailSendError when every transport failed.
+// `tags` is a flat { name: value } map, e.g. { category: "back_in_stock" }.
+export async function sendEmail({ to, subject, html, text, headers = {}, tags = {}, from = EMAIL_FROM }) {
+  const message = { from, to, subject, html, text, headers, tags };
+  const names = [EMAIL_TRANSPORT, EMAIL_FALLBACK_TRANSPORT].filter(
+    (name, i, all) => name && all.indexOf(name) === i && missingTransportConfig(name).length === 0
+  );
+  if (!names.length) {
+    throw new EmailSendError(`Email transport "${EMAIL_TRANSPORT}" is not configured: ${missingEmailConfig().join(", ")}`);
+  }
+
+  let lastError;
+  for (const name of names) {
+    try {
+      const { id } = await getTransport(name).send(message);
+      return { id, transport: name };
+    } catch (err) {
+      lastError =
+        err instanceof EmailSendError ? err : new EmailSendError(String(err.message || err), { transport: name, cause: err });
+      console.error("email: send failed", { transport: name, subject, error: lastError.message });
+    }
+  }
+  throw lastError;
+}
@@ -0,0 +1,52 @@
+// lib/email/outbox/file-store.js
+// Outbox adapter backed by a local JSON file (development / `vercel dev`).
+// Not safe for concurrent writers — serverless instances don't share a disk, so use
+// the Shopify adapter in production.
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { randomUUID } from "crypto";
+
+async function readAll(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+async function writeAll(filePath, entries) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(entries, null, 2), "utf8");
+}
+
+export function createFileOutboxStore({ filePath }) {
+  return {
+    async add(entry) {
+      const entries = await readAll(filePath);
+      const id = randomUUID();
+      entries[id] = { ...entry, id };
+      await writeAll(filePath, entries);
+      return entries[id];
+    },
+
+    async get(id) {
+      const entries = await readAll(filePath);
+      return entries[id] || null;
+    },
+
+    async update(id, changes) {
+      const entries = await readAll(filePath);
+      if (!entries[id]) throw new Error(`Outbox entry not found: ${id}`);
+      entries[id] = { ...entries[id], ...changes };
+      await writeAll(filePath, entries);
+      return entries[id];
+    },
+
+    async listByStatus(status) {
+      const entries = await readAll(filePath);
+      return Object.values(entries).filter((e) => e.status === status);
+    },
+  };
+}
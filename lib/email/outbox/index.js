@@ -0,0 +1,182 @@
+// lib/email/outbox/index.js
+// Durable outbox for emails that could not be sent straight away, behind a pluggable store.
+//
+// Routes call sendOrQueueEmail() instead of sendEmail(): a failed send is written to the outbox
+// (status, attempts, last error, next attempt) instead of being lost, and api/maintenance.js
+// retries due messages with exponential backoff (EMAIL_OUTBOX_BACKOFF_MINUTES, default 5,
+// doubling up to 6 hours). After EMAIL_OUTBOX_MAX_ATTEMPTS (default 6) a message is marked "dead"
+// and reported in the maintenance Slack summary. With EMAIL_OUTBOX_RECORD_SENT=true successful
+// sends are recorded too, as an audit trail.
+//
+// EMAIL_OUTBOX_STORE selects the adapter:
+//   "shopify" (default) — Shopify metaobjects, see ./shopify-store.js
+//   "file"              — local JSON file at EMAIL_OUTBOX_FILE (default .data/outbox.json)
+//
+// Every adapter implements add(entry), get(id), update(id, changes) and listByStatus(status).
+//
+// Overlapping retry runs (the daily maintenance run and the frequent ?task=outbox run) must not
+// both resend an entry, so each run claims an entry before sending it: status "sending" with the
+// run's claim token, read back to check no other run claimed it since. The stores have no
+// compare-and-set, so this narrows the race rather than closing it. A claim that is never
+// resolved (the run died or couldn't record the outcome) is not retried, since the email may
+// have gone out; once CLAIM_TIMEOUT_MS has passed the entry is marked dead and reported.
+
+import { randomUUID } from "crypto";
+import { sendEmail } from "../index.js";
+import { createShopifyOutboxStore } from "./shopify-store.js";
+import { createFileOutboxStore } from "./file-store.js";
+
+const EMAIL_OUTBOX_STORE = process.env.EMAIL_OUTBOX_STORE || "shopify";
+const EMAIL_OUTBOX_FILE = process.env.EMAIL_OUTBOX_FILE || ".data/outbox.json";
+const MAX_ATTEMPTS = Number(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 6;
+const BACKOFF_MINUTES = Number(process.env.EMAIL_OUTBOX_BACKOFF_MINUTES) || 5;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000; // well past the function's maxDuration
+const RECORD_SENT = process.env.EMAIL_OUTBOX_RECORD_SENT === "true";
+
+export const OUTBOX_STATUS = Object.freeze({
+  FAILED: "failed", // waiting for a retry
+  SENDING: "sending", // claimed by a retry run
+  SENT: "sent",
+  DEAD: "dead", // gave up after MAX_ATTEMPTS
+});
+
+let store = null;
+
+export function getOutboxStore() {
+  if (store) return store;
+  if (EMAIL_OUTBOX_STORE === "shopify") {
+    store = createShopifyOutboxStore();
+  } else if (EMAIL_OUTBOX_STORE === "file") {
+    store = createFileOutboxStore({ filePath: EMAIL_OUTBOX_FILE });
+  } else {
+    throw new Error(`Unknown EMAIL_OUTBOX_STORE "${EMAIL_OUTBOX_STORE}" (expected "shopify" or "file")`);
+  }
+  return store;
+}
+
+function nextAttemptAt(attempts) {
+  const delay = Math.min(BACKOFF_MINUTES * 60 * 1000 * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return new Date(Date.now() + delay).toISOString();
+}
+
+// Sends now, or queues the message for retry when every transport failed.
+// Returns { sent: true, id, transport } or { sent: false, queued: true, outboxId, error }.
+// Only throws when the message could neither be sent nor written to the outbox.
+export async function sendOrQueueEmail(message) {
+  const now = new Date().toISOString();
+  try {
+    const result = await sendEmail(message);
+    if (RECORD_SENT) {
+      await getOutboxStore()
+        .add({ message, status: OUTBOX_STATUS.SENT, attempts: 1, lastError: null, nextAttemptAt: null, createdAt: now, sentAt: now })
+        .catch((err) => console.error("outbox: failed to record sent email", String(err.message || err)));
+    }
+    return { sent: true, ...result };
+  } catch (err) {
+    const entry = await getOutboxStore().add({
+      message,
+      status: OUTBOX_STATUS.FAILED,
+      attempts: 1,
+      lastError: errorText(err),
+      nextAttemptAt: nextAttemptAt(1),
+      createdAt: now,
+      sentAt: null,
+    });
+    console.warn("outbox: email queued for retry", { id: entry.id, subject: message.subject, error: entry.lastError });
+    return { sent: false, queued: true, outboxId: entry.id, error: entry.lastError };
+  }
+}
+
+function describe(entry) {
+  return {
+    id: entry.id,
+    to: entry.message?.to,
+    subject: entry.message?.subject,
+    tags: entry.message?.tags || {},
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+  };
+}
+
+function errorText(err) {
+  return String(err.message || err).slice(0, 500);
+}
+
+// Claims the entry for this run; false when another run claimed it first.
+async function claim(outbox, entry, token) {
+  await outbox.update(entry.id, {
+    status: OUTBOX_STATUS.SENDING,
+    claimedBy: token,
+    nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT_MS).toISOString(),
+  });
+  const current = await outbox.get(entry.id);
+  return current?.status === OUTBOX_STATUS.SENDING && current.claimedBy === token;
+}
+
+// Sends one claimed entry and records the outcome, which goes into `result`.
+async function retryEntry(outbox, entry, result) {
+  const attempts = entry.attempts + 1;
+  try {
+    await sendEmail(entry.message);
+  } catch (err) {
+    const gaveUp = attempts >= MAX_ATTEMPTS;
+    const updated = await outbox.update(entry.id, {
+      status: gaveUp ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.FAILED,
+      attempts,
+      lastError: errorText(err),
+      nextAttemptAt: gaveUp ? null : nextAttemptAt(attempts),
+    });
+    (gaveUp ? result.dead : result.failed).push(describe(updated));
+    return;
+  }
+  // Delivered: report it even if recording fails, the claim keeps it from being sent again
+  result.delivered.push(describe({ ...entry, attempts }));
+  await outbox.update(entry.id, {
+    status: OUTBOX_STATUS.SENT,
+    attempts,
+    nextAttemptAt: null,
+    sentAt: new Date().toISOString(),
+  });
+}
+
+// Resends failed messages whose next attempt is due, stopping at `deadline` (ms timestamp).
+// With dryRun nothing is sent and due messages are returned under `due`. An entry that fails
+// to be claimed or recorded is logged and skipped; the others still go out.
+// Returns { due, delivered, failed, dead } as lists of { id, to, subject, tags, attempts, lastError }.
+export async function retryOutbox({ deadline = Infinity, dryRun = false } = {}) {
+  const outbox = getOutboxStore();
+  const now = Date.now();
+  const isDue = (e) => !e.nextAttemptAt || new Date(e.nextAttemptAt).getTime() <= now;
+  const due = (await outbox.listByStatus(OUTBOX_STATUS.FAILED))
+    .filter(isDue)
+    .sort((a, b) => String(a.nextAttemptAt).localeCompare(String(b.nextAttemptAt)));
+  const abandoned = (await outbox.listByStatus(OUTBOX_STATUS.SENDING)).filter(isDue);
+  const result = { due: due.map(describe), delivered: [], failed: [], dead: [] };
+  if (dryRun) return result;
+
+  for (const entry of abandoned) {
+    try {
+      const updated = await outbox.update(entry.id, {
+        status: OUTBOX_STATUS.DEAD,
+        nextAttemptAt: null,
+        lastError: "Delivery unknown: the retry run that claimed this email stopped before recording the outcome",
+      });
+      result.dead.push(describe(updated));
+    } catch (err) {
+      console.error("outbox: failed to mark an abandoned claim dead", { id: entry.id, error: errorText(err) });
+    }
+  }
+
+  const token = randomUUID();
+  for (const entry of due) {
+    if (Date.now() >= deadline) break;
+    try {
+      if (!(await claim(outbox, entry, token))) continue;
+      await retryEntry(outbox, entry, result);
+    } catch (err) {
+      console.error("outbox: retry failed", { id: entry.id, subject: entry.message?.subject, error: errorText(err) });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,129 @@
+// lib/email/outbox/shopify-store.js
+// Outbox adapter backed by Shopify metaobjects (production).
+//
+// Requires a metaobject definition of type "email_outbox_message" with fields:
+//   message (json), status, attempts, last_error, next_attempt_at, created_at, sent_at,
+//   claimed_by (single-line text) — plus recipient and subject for browsing the entries in the admin.
+
+import { randomUUID } from "crypto";
+import { shopifyGraphql, shopifyGraphqlNodes, assertNoUserErrors } from "../../shopify.js";
+
+const METAOBJECT_TYPE = "email_outbox_message";
+
+const FIELD_KEYS = {
+  status: "status",
+  attempts: "attempts",
+  lastError: "last_error",
+  nextAttemptAt: "next_attempt_at",
+  createdAt: "created_at",
+  sentAt: "sent_at",
+  claimedBy: "claimed_by",
+};
+
+function toFields(entry) {
+  const fields = Object.entries(FIELD_KEYS)
+    .filter(([prop]) => entry[prop] !== undefined)
+    .map(([prop, key]) => ({ key, value: entry[prop] == null ? "" : String(entry[prop]) }));
+  if (entry.message) {
+    fields.push(
+      { key: "message", value: JSON.stringify(entry.message) },
+      { key: "recipient", value: String(entry.message.to || "") },
+      { key: "subject", value: String(entry.message.subject || "").slice(0, 255) }
+    );
+  }
+  return fields;
+}
+
+function fromMetaobject(node) {
+  if (!node) return null;
+  const fields = Object.fromEntries((node.fields || []).map((f) => [f.key, f.value]));
+  let message = null;
+  try { message = JSON.parse(fields.message); } catch { /* leave null */ }
+  return {
+    id: node.id,
+    message,
+    status: fields.status,
+    attempts: Number(fields.attempts) || 0,
+    lastError: fields.last_error || null,
+    nextAttemptAt: fields.next_attempt_at || null,
+    createdAt: fields.created_at,
+    sentAt: fields.sent_at || null,
+    claimedBy: fields.claimed_by || null,
+  };
+}
+
+export function createShopifyOutboxStore() {
+  return {
+    async add(entry) {
+      const data = await shopifyGraphql(
+        `
+          mutation AddOutboxEntry($metaobject: MetaobjectCreateInput!) {
+            metaobjectCreate(metaobject: $metaobject) {
+              metaobject { id fields { key value } }
+              userErrors { field message code }
+            }
+          }
+        `,
+        {
+          metaobject: {
+            type: METAOBJECT_TYPE,
+            handle: `email-${randomUUID()}`,
+            fields: toFields(entry),
+          },
+        }
+      );
+      assertNoUserErrors("metaobjectCreate", data?.metaobjectCreate?.userErrors);
+      return fromMetaobject(data.metaobjectCreate.metaobject);
+    },
+
+    async get(id) {
+      const data = await shopifyGraphql(
+        `
+          query OutboxEntry($id: ID!) {
+            metaobject(id: $id) { id fields { key value } }
+          }
+        `,
+        { id }
+      );
+      return fromMetaobject(data?.metaobject);
+    },
+
+    async update(id, changes) {
+      const data = await shopifyGraphql(
+        `
+          mutation UpdateOutboxEntry($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+            metaobjectUpdate(id: $id, metaobject: $metaobject) {
+              metaobject { id fields { key value } }
+              userErrors { field message code }
+            }
+          }
+        `,
+        { id, metaobject: { fields: toFields(changes) } }
+      );
+      assertNoUserErrors("metaobjectUpdate", data?.metaobjectUpdate?.userErrors);
+      return fromMetaobject(data.metaobjectUpdate.metaobject);
+    },
+
+    async listByStatus(status) {
+      const entries = [];
+      const nodes = shopifyGraphqlNodes(
+        `
+          query OutboxEntries($type: String!, $query: String, $after: String) {
+            metaobjects(type: $type, first: 100, after: $after, query: $query) {
+              edges { node { id fields { key value } } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        `,
+        { type: METAOBJECT_TYPE, query: `fields.status:"${status}"` },
+        (data) => data?.metaobjects
+      );
+      // The field filter narrows the page server-side; filter client-side as well to be safe.
+      for await (const node of nodes) {
+        const entry = fromMetaobject(node);
+        if (entry.status === status) entries.push(entry);
+      }
+      return entries;
+    },
+  };
+}
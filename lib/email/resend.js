@@ -0,0 +1,46 @@
+// lib/email/resend.js
+// Email transport for the Resend HTTP API.
+
+import { EmailSendError } from "./errors.js";
+
+const RESEND_URL = "https://api.resend.com/emails";
+
+export function createResendTransport({ apiKey }) {
+  return {
+    async send({ from, to, subject, html, text, headers, tags }) {
+      const res = await fetch(RESEND_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from,
+          to,
+          subject,
+          html,
+          ...(text && { text }),
+          ...(Object.keys(headers).length && { headers }),
+          // Resend tag values may only contain ASCII letters, numbers, underscores and dashes
+          ...(Object.keys(tags).length && {
+            tags: Object.entries(tags).map(([name, value]) => ({
+              name,
+              value: String(value).replace(/[^A-Za-z0-9_-]/g, "_"),
+            })),
+          }),
+        }),
+      });
+      const body = await res.text().catch(() => "");
+      if (!res.ok) {
+        throw new EmailSendError(`Resend ${res.status}: ${body.slice(0, 500)}`, {
+          transport: "resend",
+          status: res.status,
+          body,
+        });
+      }
+      let id = null;
+      try { id = JSON.parse(body)?.id || null; } catch { /* keep null */ }
+      return { id };
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// lib/email/smtp.js
+// Email transport for any SMTP server, via nodemailer. nodemailer is only loaded when this
+// transport is actually used.
+
+import { EmailSendError } from "./errors.js";
+
+export function createSmtpTransport({ url, host, port, user, pass }) {
+  let transporter = null;
+
+  async function getTransporter() {
+    if (transporter) return transporter;
+    const { default: nodemailer } = await import("nodemailer");
+    transporter = url
+      ? nodemailer.createTransport(url)
+      : nodemailer.createTransport({
+          host,
+          port,
+          secure: port === 465,
+          auth: user ? { user, pass } : undefined,
+        });
+    return transporter;
+  }
+
+  return {
+    async send({ from, to, subject, html, text, headers, tags }) {
+      try {
+        const info = await (await getTransporter()).sendMail({
+          from,
+          to,
+          subject,
+          html,
+          text,
+          headers: {
+            ...headers,
+            ...(Object.keys(tags).length && {
+              "X-Email-Tags": Object.entries(tags).map(([name, value]) => `${name}=${value}`).join("; "),
+            }),
+          },
+        });
+        return { id: info.messageId || null };
+      } catch (err) {
+        throw new EmailSendError(`SMTP: ${err.message}`, {
+          transport: "smtp",
+          status: err.responseCode || null,
+          body: err.response || "",
+          cause: err,
+        });
+      }
+    },
+  };
+}
@@ -0,0 +1,92 @@
+// lib/job-state.js
+// Small JSON state blobs for cron jobs (checkpoints, cursors), stored as shop metafields so
+// they survive between serverless invocations. Keep values well under the 2 MB JSON limit.
+
+import { shopifyGraphql, shopifyGraphqlNodes, assertNoUserErrors } from "./shopify.js";
+
+const NAMESPACE = "mishmush_jobs";
+
+let shopGid = null;
+
+async function getShopGid() {
+  if (shopGid) return shopGid;
+  const data = await shopifyGraphql(`
+    query ShopId {
+      shop { id }
+    }
+  `);
+  shopGid = data.shop.id;
+  return shopGid;
+}
+
+export async function loadJobState(key) {
+  const data = await shopifyGraphql(
+    `
+      query JobState($namespace: String!, $key: String!) {
+        shop {
+          metafield(namespace: $namespace, key: $key) { value }
+        }
+      }
+    `,
+    { namespace: NAMESPACE, key }
+  );
+  const value = data?.shop?.metafield?.value;
+  if (!value) return null;
+  try { return JSON.parse(value); } catch { return null; }
+}
+
+// Every state whose key starts with `prefix`, as [{ key, state }].
+export async function listJobStates(prefix) {
+  const states = [];
+  const metafields = shopifyGraphqlNodes(
+    `
+      query JobStates($namespace: String!, $after: String) {
+        shop {
+          metafields(namespace: $namespace, first: 250, after: $after) {
+            nodes { key value }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `,
+    { namespace: NAMESPACE },
+    (data) => data?.shop?.metafields
+  );
+  for await (const { key, value } of metafields) {
+    if (!key.startsWith(prefix)) continue;
+    try { states.push({ key, state: JSON.parse(value) }); } catch { /* unreadable, skip */ }
+  }
+  return states;
+}
+
+export async function saveJobState(key, state) {
+  const data = await shopifyGraphql(
+    `
+      mutation SaveJobState($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors { field message code }
+        }
+      }
+    `,
+    {
+      metafields: [
+        { ownerId: await getShopGid(), namespace: NAMESPACE, key, type: "json", value: JSON.stringify(state) },
+      ],
+    }
+  );
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+}
+
+export async function clearJobState(key) {
+  const data = await shopifyGraphql(
+    `
+      mutation ClearJobState($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          userErrors { field message }
+        }
+      }
+    `,
+    { metafields: [{ ownerId: await getShopGid(), namespace: NAMESPACE, key }] }
+  );
+  assertNoUserErrors("metafieldsDelete", data?.metafieldsDelete?.userErrors);
+}
@@ -0,0 +1,47 @@
+// lib/rate-limit/index.js
+// Fixed-window rate limiting behind a pluggable counter store.
+//
+// RATE_LIMIT_STORE selects the adapter:
+//   "memory" (default) — per-instance Map, fine for local use; serverless instances don't share it
+//   "upstash"          — Upstash Redis REST API (UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN),
+//                        shared by every instance, see ./upstash-store.js
+//
+// Every adapter implements hit(key, windowMs) -> { count, resetAt }, counting this hit.
+
+import { createMemoryRateLimitStore } from "./memory-store.js";
+import { createUpstashRateLimitStore } from "./upstash-store.js";
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+let store = null;
+
+export function getRateLimitStore() {
+  if (store) return store;
+  if (RATE_LIMIT_STORE === "memory") {
+    store = createMemoryRateLimitStore();
+  } else if (RATE_LIMIT_STORE === "upstash") {
+    store = createUpstashRateLimitStore({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    });
+  } else {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}" (expected "memory" or "upstash")`);
+  }
+  return store;
+}
+
+// Returns { allowed, remaining, retryAfterSeconds }. If the store is unreachable the request is
+// allowed: a Redis outage shouldn't take signups down with it.
+export async function rateLimit({ key, limit, windowMs }) {
+  try {
+    const { count, resetAt } = await getRateLimitStore().hit(`ratelimit:${key}`, windowMs);
+    return {
+      allowed: count <= limit,
+      remaining: Math.max(0, limit - count),
+      retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+    };
+  } catch (err) {
+    console.error("rate-limit: store unavailable, allowing request", String(err.message || err));
+    return { allowed: true, remaining: limit, retryAfterSeconds: 0 };
+  }
+}
@@ -0,0 +1,24 @@
+// lib/rate-limit/memory-store.js
+// Rate-limit counters in process memory (development / `vercel dev`). Each serverless instance
+// keeps its own counts, so use the Upstash adapter in production.
+
+export function createMemoryRateLimitStore() {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  function prune(now) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      prune(now);
+      const entry = windows.get(key) || { count: 0, resetAt: now + windowMs };
+      entry.count++;
+      windows.set(key, entry);
+      return { ...entry };
+    },
+  };
+}
@@ -0,0 +1,35 @@
+// lib/rate-limit/upstash-store.js
+// Rate-limit counters in Upstash Redis over its REST API (production). One pipeline per hit:
+// INCR the window's counter, start its expiry on the first hit, and read the time left.
+
+export function createUpstashRateLimitStore({ url, token }) {
+  if (!url || !token) {
+    throw new Error("Upstash rate-limit store needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN");
+  }
+  const baseUrl = url.replace(/\/+$/, "");
+
+  return {
+    async hit(key, windowMs) {
+      const res = await fetch(`${baseUrl}/pipeline`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify([
+          ["INCR", key],
+          ["PEXPIRE", key, String(windowMs), "NX"],
+          ["PTTL", key],
+        ]),
+      });
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw new Error(`Upstash ${res.status}: ${text.slice(0, 200)}`);
+      }
+      const [incr, , pttl] = await res.json();
+      if (incr?.error) throw new Error(`Upstash INCR failed: ${incr.error}`);
+      const ttl = Number(pttl?.result);
+      return { count: Number(incr.result), resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+    },
+  };
+}
@@ -0,0 +1,248 @@
+// lib/shopify.js
+// Shared Shopify Admin API client used by every route.
+//
+// REST:    retries 429s after Retry-After (and 5xx for idempotent methods), slows down when
+//          X-Shopify-Shop-Api-Call-Limit shows the bucket is nearly full, and follows
+//          Link-header pagination.
+// GraphQL: tracks extensions.cost.throttleStatus and waits for the bucket to refill before a
+//          query that would not fit, retries THROTTLED responses, and follows cursors.
+// Failures throw ShopifyApiError (status, body, errors) or ShopifyUserError (userErrors)
+// instead of stringly-typed errors.
+//
+// shopifyStorefrontGraphql() covers the few storefront-only queries (e.g. productRecommendations)
+// with the public SHOPIFY_STOREFRONT_TOKEN; it retries 429/5xx but has no cost tracking.
+
+export const API_VERSION = "2025-10";
+const SHOP = process.env.SHOP;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const STOREFRONT_TOKEN = process.env.SHOPIFY_STOREFRONT_TOKEN;
+
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+const REST_CALL_HEADROOM = 4; // keep this many REST calls free in the leaky bucket
+const REST_LEAK_MS = 500; // standard plans leak 2 calls per second
+const DEFAULT_QUERY_COST = 50;
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+// ---------- Errors ----------
+
+export class ShopifyApiError extends Error {
+  constructor(message, { status = null, statusText = "", body = "", path = "", errors = [] } = {}) {
+    super(message);
+    this.name = "ShopifyApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.path = path;
+    this.errors = errors;
+  }
+}
+
+export class ShopifyUserError extends ShopifyApiError {
+  constructor(operation, userErrors = []) {
+    super(
+      `${operation} userErrors: ${userErrors.map((e) => e?.message || JSON.stringify(e)).join(" | ")}`
+    );
+    this.name = "ShopifyUserError";
+    this.operation = operation;
+    this.userErrors = userErrors;
+  }
+}
+
+export function assertNoUserErrors(operation, userErrors) {
+  if (userErrors?.length) throw new ShopifyUserError(operation, userErrors);
+}
+
+// ---------- REST ----------
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function retryDelayMs(res, attempt) {
+  const retryAfter = Number(res.headers.get("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  return BASE_DELAY_MS * 2 ** attempt;
+}
+
+async function respectCallLimit(header) {
+  const match = String(header || "").match(/^(\d+)\/(\d+)$/);
+  if (!match) return;
+  const [used, limit] = [Number(match[1]), Number(match[2])];
+  const overBy = used - (limit - REST_CALL_HEADROOM);
+  if (overBy > 0) await sleep(overBy * REST_LEAK_MS);
+}
+
+// Accepts an admin path ("/customers/1.json") or an absolute URL from a Link header.
+async function request(path, init = {}) {
+  const url = path.startsWith("https://") ? path : `https://${SHOP}/admin/api/${API_VERSION}${path}`;
+  const method = (init.method || "GET").toUpperCase();
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, {
+      ...init,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": ADMIN_TOKEN,
+        ...(init.headers || {}),
+      },
+    });
+    await respectCallLimit(res.headers.get("x-shopify-shop-api-call-limit"));
+    if (res.ok) return res;
+
+    const retryable = res.status === 429 || (res.status >= 500 && IDEMPOTENT_METHODS.has(method));
+    if (retryable && attempt < MAX_RETRIES) {
+      await sleep(retryDelayMs(res, attempt));
+      continue;
+    }
+    const text = await res.text().catch(() => "");
+    throw new ShopifyApiError(`Shopify API ${res.status} ${res.statusText}: ${text}`, {
+      status: res.status,
+      statusText: res.statusText,
+      body: text,
+      path,
+    });
+  }
+}
+
+async function parseJson(res) {
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+}
+
+export async function shopifyFetch(path, init = {}) {
+  return parseJson(await request(path, init));
+}
+
+// Yields { data, next } per page, following rel="next" Link headers. `next` is the URL of the
+// following page (null on the last one); pass it back in as `path` to resume from there.
+export async function* shopifyRestPages(path) {
+  let current = path;
+  while (current) {
+    const res = await request(current);
+    const data = await parseJson(res);
+    const link = res.headers.get("link");
+    const match = link && link.match(/<([^>]+)>;\s*rel="next"/);
+    const next = match ? match[1] : null;
+    yield { data, next };
+    current = next;
+  }
+}
+
+// ---------- GraphQL ----------
+
+let throttleStatus = null; // last extensions.cost.throttleStatus plus when it was seen
+const lastCostByQuery = new Map();
+
+function availablePoints() {
+  if (!throttleStatus) return Infinity;
+  const elapsedSeconds = (Date.now() - throttleStatus.seenAt) / 1000;
+  return Math.min(
+    throttleStatus.maximumAvailable,
+    throttleStatus.currentlyAvailable + elapsedSeconds * throttleStatus.restoreRate
+  );
+}
+
+async function waitForQueryBudget(cost) {
+  const available = availablePoints();
+  if (available >= cost || !throttleStatus?.restoreRate) return;
+  await sleep(Math.ceil(((cost - available) / throttleStatus.restoreRate) * 1000));
+}
+
+export async function shopifyGraphql(query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const expectedCost = lastCostByQuery.get(query) || DEFAULT_QUERY_COST;
+    await waitForQueryBudget(expectedCost);
+
+    const res = await request("/graphql.json", {
+      method: "POST",
+      body: JSON.stringify({ query, variables }),
+    });
+    const gql = await parseJson(res);
+
+    const cost = gql?.extensions?.cost;
+    if (cost?.throttleStatus) throttleStatus = { ...cost.throttleStatus, seenAt: Date.now() };
+    if (cost?.requestedQueryCost) lastCostByQuery.set(query, cost.requestedQueryCost);
+
+    const errors = gql?.errors || [];
+    const throttled = errors.some((e) => e?.extensions?.code === "THROTTLED");
+    if (throttled && attempt < MAX_RETRIES) {
+      // waitForQueryBudget covers the wait when throttle status is known
+      if (!throttleStatus) await sleep(BASE_DELAY_MS * 2 ** attempt);
+      continue;
+    }
+    if (errors.length) {
+      throw new ShopifyApiError(
+        `GraphQL errors: ${errors.map((e) => e?.message || String(e)).join(" | ")}`,
+        { status: res.status, path: "/graphql.json", errors }
+      );
+    }
+    return gql?.data;
+  }
+}
+
+// Yields { nodes, next } per page of a connection. The query must take an `$after: String`
+// variable and select `pageInfo { hasNextPage endCursor }`; getConnection picks the connection
+// from data. `next` is the cursor of the following page (null on the last one); pass it back
+// in as `after` to resume from there.
+export async function* shopifyGraphqlPages(query, variables, getConnection, after = null) {
+  do {
+    const data = await shopifyGraphql(query, { ...variables, after });
+    const connection = getConnection(data);
+    const nodes = [
+      ...(connection?.edges || []).map((edge) => edge.node),
+      ...(connection?.nodes || []),
+    ];
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+    yield { nodes, next: after };
+  } while (after);
+}
+
+// Yields every node of a connection; see shopifyGraphqlPages.
+export async function* shopifyGraphqlNodes(query, variables, getConnection) {
+  for await (const page of shopifyGraphqlPages(query, variables, getConnection)) {
+    yield* page.nodes;
+  }
+}
+
+// ---------- Storefront GraphQL ----------
+
+export function isStorefrontConfigured() {
+  return Boolean(SHOP && STOREFRONT_TOKEN);
+}
+
+export async function shopifyStorefrontGraphql(query, variables = {}) {
+  if (!isStorefrontConfigured()) throw new Error("SHOPIFY_STOREFRONT_TOKEN is not set");
+  const path = `/api/${API_VERSION}/graphql.json`;
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(`https://${SHOP}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Storefront-Access-Token": STOREFRONT_TOKEN,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+    if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+      await sleep(retryDelayMs(res, attempt));
+      continue;
+    }
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new ShopifyApiError(`Shopify Storefront API ${res.status} ${res.statusText}: ${text}`, {
+        status: res.status,
+        statusText: res.statusText,
+        body: text,
+        path,
+      });
+    }
+    const gql = await parseJson(res);
+    const errors = gql?.errors || [];
+    if (errors.length) {
+      throw new ShopifyApiError(
+        `Storefront GraphQL errors: ${errors.map((e) => e?.message || String(e)).join(" | ")}`,
+        { status: res.status, path, errors }
+      );
+    }
+    return gql?.data;
+  }
+}
@@ -0,0 +1,45 @@
+// lib/signed-token.js
+// Tamper-proof tokens for links we put in emails (unsubscribe, waitlist confirmation).
+//
+// A token is base64url(JSON payload) + "." + base64url(HMAC-SHA256(secret, payload part)).
+// Payloads carry a `purpose` so a token minted for one link can't be replayed against another
+// endpoint, and an optional `exp` (unix seconds). Verification takes a list of secrets (current
+// first, then previous) so secrets can be rotated without breaking links already sent.
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+function sign(secret, value) {
+  return createHmac("sha256", secret).update(value, "utf8").digest();
+}
+
+export function createSignedToken(purpose, data, secret, { expiresInSeconds = null } = {}) {
+  if (!secret) throw new Error(`No secret configured for ${purpose} tokens`);
+  const exp = expiresInSeconds ? Math.floor(Date.now() / 1000) + expiresInSeconds : undefined;
+  const payload = Buffer.from(JSON.stringify({ purpose, ...data, exp })).toString("base64url");
+  return `${payload}.${sign(secret, payload).toString("base64url")}`;
+}
+
+// Returns the payload, or null when the token is malformed, forged, for another purpose or expired.
+export function verifySignedToken(purpose, token, secrets) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const received = Buffer.from(signature, "base64url");
+  // Check every secret so timing doesn't reveal which one matched
+  let matched = false;
+  for (const secret of secrets.filter(Boolean)) {
+    const expected = sign(secret, payload);
+    if (received.length === expected.length && timingSafeEqual(received, expected)) matched = true;
+  }
+  if (!matched) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (data?.purpose !== purpose) return null;
+  if (data.exp && data.exp * 1000 < Date.now()) return null;
+  return data;
+}
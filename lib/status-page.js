@@ -0,0 +1,44 @@
+// lib/status-page.js
+// Minimal HTML pages for the endpoints customers open from email links (unsubscribe, confirm).
+// Anything that changes state sits behind a POST button, so link scanners that prefetch URLs
+// can't trigger it.
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// form: optional { action, label, fields } rendered as a POST button.
+export function renderStatusPage({ title, message, form = null }) {
+  const hiddenFields = Object.entries(form?.fields || {})
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join("");
+  const formHtml = form
+    ? `<form method="POST" action="${escapeHtml(form.action)}">
+        ${hiddenFields}
+        <button type="submit" style="font-size:16px;font-weight:700;color:#432f0b;background:#f0a76f;border:0;border-radius:12px;padding:14px 28px;cursor:pointer;">${escapeHtml(form.label)}</button>
+      </form>`
+    : "";
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:60px 24px;font-family:'Lucida Grande', Helvetica, Arial, sans-serif;color:#432f0b;text-align:center;">
+    <h1 style="font-size:24px;font-weight:400;">${escapeHtml(title)}</h1>
+    <p style="font-size:16px;line-height:1.5;color:#555555;">${escapeHtml(message)}</p>
+    ${formHtml}
+  </body>
+</html>`;
+}
+
+export function sendStatusPage(res, status, page) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.status(status).send(renderStatusPage(page));
+}
@@ -0,0 +1,59 @@
+// lib/unsubscribe.js
+// Signed unsubscribe links for every email we send, handled by api/unsubscribe.js.
+//
+// Tokens are signed (lib/signed-token.js), so the email, list and variant in a link can't be
+// edited to unsubscribe someone else. They don't expire: an old email's link has to keep working.
+//
+//   UNSUBSCRIBE_SECRET           signing secret
+//   UNSUBSCRIBE_SECRET_PREVIOUS  still accepted while rotating the secret
+//   APP_URL                      public base URL of this deployment, e.g. https://mishmush-discount.vercel.app
+
+import { createSignedToken, verifySignedToken } from "./signed-token.js";
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || "";
+const UNSUBSCRIBE_SECRET_PREVIOUS = process.env.UNSUBSCRIBE_SECRET_PREVIOUS || "";
+const APP_URL = (process.env.APP_URL || "").replace(/\/+$/, "");
+
+export const LISTS = Object.freeze({
+  BACK_IN_STOCK: "back_in_stock", // one waitlist subscription (needs variantId)
+  MARKETING: "marketing", // discount emails; unsubscribes the customer from email marketing
+});
+
+// Env vars still needed before unsubscribe links can be built; routes report these as 500s.
+export function missingUnsubscribeConfig() {
+  return [!UNSUBSCRIBE_SECRET && "UNSUBSCRIBE_SECRET", !APP_URL && "APP_URL"].filter(Boolean);
+}
+
+export function isUnsubscribeConfigured() {
+  return missingUnsubscribeConfig().length === 0;
+}
+
+export function createUnsubscribeToken({ email, list, variantId = null, customerId = null }) {
+  if (!Object.values(LISTS).includes(list)) throw new Error(`Unknown unsubscribe list "${list}"`);
+  return createSignedToken(
+    "unsubscribe",
+    { email: String(email).trim().toLowerCase(), list, variantId, customerId },
+    UNSUBSCRIBE_SECRET
+  );
+}
+
+// Returns { email, list, variantId, customerId } or null when the token is malformed or forged.
+export function verifyUnsubscribeToken(token) {
+  const data = verifySignedToken("unsubscribe", token, [UNSUBSCRIBE_SECRET, UNSUBSCRIBE_SECRET_PREVIOUS]);
+  if (!data?.email || !Object.values(LISTS).includes(data.list)) return null;
+  return data;
+}
+
+// Returns { url, headers }: the footer link plus RFC 2369 / RFC 8058 one-click headers for the
+// email payload.
+export function buildUnsubscribeLink(recipient) {
+  if (!APP_URL) throw new Error("APP_URL is not set");
+  const url = `${APP_URL}/api/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(recipient))}`;
+  return {
+    url,
+    headers: {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// lib/waitlist/confirmation.js
+// Signed confirmation links for double opt-in waitlist signups, handled by
+// api/confirm-subscription.js. Links expire together with the pending entry
+// (WAITLIST_CONFIRM_TTL_HOURS). The signup's marketing opt-in travels in the signed token, so
+// consent is only recorded once the customer confirms.
+//
+//   WAITLIST_CONFIRM_SECRET           signing secret
+//   WAITLIST_CONFIRM_SECRET_PREVIOUS  still accepted while rotating the secret
+//   APP_URL                           public base URL of this deployment
+
+import { createSignedToken, verifySignedToken } from "../signed-token.js";
+import { CONFIRM_TTL_HOURS, normalizeEmail, normalizeVariantGid } from "./index.js";
+
+const WAITLIST_CONFIRM_SECRET = process.env.WAITLIST_CONFIRM_SECRET || "";
+const WAITLIST_CONFIRM_SECRET_PREVIOUS = process.env.WAITLIST_CONFIRM_SECRET_PREVIOUS || "";
+const APP_URL = (process.env.APP_URL || "").replace(/\/+$/, "");
+
+export function isConfirmationConfigured() {
+  return Boolean(WAITLIST_CONFIRM_SECRET && APP_URL);
+}
+
+export function buildConfirmUrl({ variantId, email, acceptsMarketing = false }) {
+  if (!APP_URL) throw new Error("APP_URL is not set");
+  const token = createSignedToken(
+    "confirm_subscription",
+    {
+      variantId: normalizeVariantGid(variantId),
+      email: normalizeEmail(email),
+      ...(acceptsMarketing && { acceptsMarketing: true }),
+    },
+    WAITLIST_CONFIRM_SECRET,
+    { expiresInSeconds: CONFIRM_TTL_HOURS * 60 * 60 }
+  );
+  return `${APP_URL}/api/confirm-subscription?token=${encodeURIComponent(token)}`;
+}
+
+// Returns { variantId, email, acceptsMarketing } or null when the token is malformed, forged or
+// expired.
+export function verifyConfirmToken(token) {
+  const data = verifySignedToken("confirm_subscription", token, [
+    WAITLIST_CONFIRM_SECRET,
+    WAITLIST_CONFIRM_SECRET_PREVIOUS,
+  ]);
+  if (!data?.variantId || !data?.email) return null;
+  return { variantId: data.variantId, email: data.email, acceptsMarketing: data.acceptsMarketing === true };
+}
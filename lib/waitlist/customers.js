@@ -0,0 +1,160 @@
+// lib/waitlist/customers.js
+// The Shopify customer behind a waitlist signup.
+//
+// findWaitlistCustomer() looks the address up so the signup emails can greet the customer by
+// first name and fall back on their storefront language. With WAITLIST_SYNC_CUSTOMERS=true,
+// syncWaitlistCustomer() also records the signup on the customer (creating one for new
+// addresses) so merchandising can segment on waitlist demand:
+//   - tag WAITLIST_CUSTOMER_TAG (default "back-in-stock")
+//   - the variant added to the list.variant_reference metafield WAITLIST_CUSTOMER_METAFIELD
+//     (default "custom.waitlisted_variants"), newest last, capped at MAX_WAITLISTED_VARIANTS
+//   - email marketing consent, only when the signup explicitly opted in: SINGLE_OPT_IN, or
+//     CONFIRMED_OPT_IN when it went through double opt-in. Consent is never withdrawn or
+//     downgraded here; that's api/unsubscribe.js.
+// With WAITLIST_DOUBLE_OPT_IN=true the sync waits for api/confirm-subscription.js, so
+// unconfirmed addresses never become customers.
+
+import { shopifyGraphql, assertNoUserErrors } from "../shopify.js";
+import { normalizeEmail, normalizeVariantGid } from "./index.js";
+
+export const SYNC_CUSTOMERS = process.env.WAITLIST_SYNC_CUSTOMERS === "true";
+const CUSTOMER_TAG = process.env.WAITLIST_CUSTOMER_TAG || "back-in-stock";
+const [METAFIELD_NAMESPACE, METAFIELD_KEY] = (process.env.WAITLIST_CUSTOMER_METAFIELD || "custom.waitlisted_variants").split(".");
+const MAX_WAITLISTED_VARIANTS = 100;
+
+function parseVariantList(value) {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// Returns { id, email, firstName, locale, marketingState, waitlistedVariants } or null.
+export async function findWaitlistCustomer(email) {
+  const address = normalizeEmail(email);
+  const data = await shopifyGraphql(
+    `
+      query WaitlistCustomer($query: String!, $namespace: String!, $key: String!) {
+        customers(first: 1, query: $query) {
+          nodes {
+            id
+            email
+            firstName
+            locale
+            emailMarketingConsent { marketingState }
+            waitlisted: metafield(namespace: $namespace, key: $key) { value }
+          }
+        }
+      }
+    `,
+    { query: `email:"${address.replace(/"/g, "")}"`, namespace: METAFIELD_NAMESPACE, key: METAFIELD_KEY }
+  );
+  const customer = data?.customers?.nodes?.[0];
+  // The search is fuzzy, so only trust an exact match
+  if (!customer || normalizeEmail(customer.email) !== address) return null;
+  return {
+    id: customer.id,
+    email: customer.email,
+    firstName: customer.firstName || null,
+    locale: customer.locale || null,
+    marketingState: customer.emailMarketingConsent?.marketingState || null,
+    waitlistedVariants: parseVariantList(customer.waitlisted?.value),
+  };
+}
+
+function waitlistedMetafield(current, variantGid) {
+  const variants = [...current.filter((id) => id !== variantGid), variantGid].slice(-MAX_WAITLISTED_VARIANTS);
+  return {
+    namespace: METAFIELD_NAMESPACE,
+    key: METAFIELD_KEY,
+    type: "list.variant_reference",
+    value: JSON.stringify(variants),
+  };
+}
+
+function subscribedConsent(confirmed) {
+  return {
+    marketingState: "SUBSCRIBED",
+    marketingOptInLevel: confirmed ? "CONFIRMED_OPT_IN" : "SINGLE_OPT_IN",
+    consentUpdatedAt: new Date().toISOString(),
+  };
+}
+
+async function createCustomer({ email, locale, variantGid, acceptsMarketing, confirmed }) {
+  const data = await shopifyGraphql(
+    `
+      mutation CreateWaitlistCustomer($input: CustomerInput!) {
+        customerCreate(input: $input) {
+          customer { id }
+          userErrors { field message }
+        }
+      }
+    `,
+    {
+      input: {
+        email: normalizeEmail(email),
+        locale,
+        tags: [CUSTOMER_TAG],
+        metafields: [waitlistedMetafield([], variantGid)],
+        ...(acceptsMarketing && { emailMarketingConsent: subscribedConsent(confirmed) }),
+      },
+    }
+  );
+  assertNoUserErrors("customerCreate", data?.customerCreate?.userErrors);
+  return data.customerCreate.customer.id;
+}
+
+async function updateCustomer({ customer, variantGid, acceptsMarketing, confirmed }) {
+  const data = await shopifyGraphql(
+    `
+      mutation UpdateWaitlistCustomer($id: ID!, $tags: [String!]!, $metafields: [MetafieldsSetInput!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          userErrors { field message }
+        }
+        metafieldsSet(metafields: $metafields) {
+          userErrors { field message code }
+        }
+      }
+    `,
+    {
+      id: customer.id,
+      tags: [CUSTOMER_TAG],
+      metafields: [{ ownerId: customer.id, ...waitlistedMetafield(customer.waitlistedVariants, variantGid) }],
+    }
+  );
+  assertNoUserErrors("tagsAdd", data?.tagsAdd?.userErrors);
+  assertNoUserErrors("metafieldsSet", data?.metafieldsSet?.userErrors);
+
+  if (!acceptsMarketing || customer.marketingState === "SUBSCRIBED") return customer.id;
+  const consent = await shopifyGraphql(
+    `
+      mutation WaitlistMarketingConsent($input: CustomerEmailMarketingConsentUpdateInput!) {
+        customerEmailMarketingConsentUpdate(input: $input) {
+          userErrors { field message }
+        }
+      }
+    `,
+    { input: { customerId: customer.id, emailMarketingConsent: subscribedConsent(confirmed) } }
+  );
+  assertNoUserErrors("customerEmailMarketingConsentUpdate", consent?.customerEmailMarketingConsentUpdate?.userErrors);
+  return customer.id;
+}
+
+// Tags the customer (found by findWaitlistCustomer, or null to create one) and records the
+// variant. `acceptsMarketing` must be the signup's own explicit opt-in, `confirmed` true once the
+// address was confirmed by double opt-in. Returns the customer GID.
+export async function syncWaitlistCustomer({
+  customer,
+  email,
+  locale,
+  variantId,
+  acceptsMarketing = false,
+  confirmed = false,
+}) {
+  const variantGid = normalizeVariantGid(variantId);
+  return customer
+    ? updateCustomer({ customer, variantGid, acceptsMarketing, confirmed })
+    : createCustomer({ email, locale, variantGid, acceptsMarketing, confirmed });
+}
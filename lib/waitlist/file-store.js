@@ -0,0 +1,54 @@
+// lib/waitlist/file-store.js
+// Waitlist adapter backed by a local JSON file (development / `vercel dev`).
+// Not safe for concurrent writers — serverless instances don't share a disk, so use
+// the Shopify adapter in production.
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+
+async function readAll(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+async function writeAll(filePath, entries) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(entries, null, 2), "utf8");
+}
+
+export function createFileWaitlistStore({ filePath }) {
+  return {
+    async get(key) {
+      const entries = await readAll(filePath);
+      return entries[key] || null;
+    },
+
+    async put(key, entry) {
+      const entries = await readAll(filePath);
+      entries[key] = { ...entries[key], ...entry, id: key };
+      await writeAll(filePath, entries);
+      return entries[key];
+    },
+
+    async update(id, changes) {
+      const entries = await readAll(filePath);
+      if (!entries[id]) throw new Error(`Waitlist entry not found: ${id}`);
+      entries[id] = { ...entries[id], ...changes };
+      await writeAll(filePath, entries);
+      return entries[id];
+    },
+
+    async listByVariant(variantGid) {
+      const entries = await readAll(filePath);
+      return Object.values(entries).filter((e) => e.variantId === variantGid);
+    },
+
+    async listAll() {
+      return Object.values(await readAll(filePath));
+    },
+  };
+}
@@ -0,0 +1,147 @@
+// lib/waitlist/index.js
+// Back-in-stock waitlist: one subscription per (variant, email) behind a pluggable store.
+//
+// WAITLIST_STORE selects the adapter:
+//   "shopify" (default) — Shopify metaobjects, see ./shopify-store.js
+//   "file"              — local JSON file at WAITLIST_FILE (default .data/waitlist.json)
+//
+// Every adapter implements get(key), put(key, entry), update(id, changes), listByVariant(variantGid)
+// and listAll().
+//
+// With double opt-in (api/notify-interest.js, WAITLIST_DOUBLE_OPT_IN=true) new entries start as
+// "pending" and only become "active" through confirmSubscription(). Pending entries older than
+// WAITLIST_CONFIRM_TTL_HOURS (default 48) count as expired: they can't be confirmed, are never
+// notified, and signing up again starts over.
+
+import { createHash } from "crypto";
+import { createShopifyWaitlistStore } from "./shopify-store.js";
+import { createFileWaitlistStore } from "./file-store.js";
+
+const WAITLIST_STORE = process.env.WAITLIST_STORE || "shopify";
+const WAITLIST_FILE = process.env.WAITLIST_FILE || ".data/waitlist.json";
+export const CONFIRM_TTL_HOURS = Number(process.env.WAITLIST_CONFIRM_TTL_HOURS) || 48;
+
+export const STATUS = Object.freeze({
+  PENDING: "pending",
+  ACTIVE: "active",
+  NOTIFIED: "notified",
+  UNSUBSCRIBED: "unsubscribed",
+});
+
+let store = null;
+
+export function getWaitlistStore() {
+  if (store) return store;
+  if (WAITLIST_STORE === "shopify") {
+    store = createShopifyWaitlistStore();
+  } else if (WAITLIST_STORE === "file") {
+    store = createFileWaitlistStore({ filePath: WAITLIST_FILE });
+  } else {
+    throw new Error(`Unknown WAITLIST_STORE "${WAITLIST_STORE}" (expected "shopify" or "file")`);
+  }
+  return store;
+}
+
+export function normalizeVariantGid(rawVariantId) {
+  const asString = String(rawVariantId || "");
+  return asString.startsWith("gid://") ? asString : `gid://shopify/ProductVariant/${asString}`;
+}
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// Stable key per (variant, email); doubles as the metaobject handle.
+export function subscriptionKey(variantGid, email) {
+  const digest = createHash("sha256")
+    .update(`${normalizeVariantGid(variantGid)}|${normalizeEmail(email)}`)
+    .digest("hex");
+  return `sub-${digest.slice(0, 32)}`;
+}
+
+export function isExpiredPending(entry) {
+  if (entry?.status !== STATUS.PENDING) return false;
+  return Date.now() - new Date(entry.createdAt).getTime() > CONFIRM_TTL_HOURS * 60 * 60 * 1000;
+}
+
+// Idempotent signup. Returns { subscription, alreadySubscribed }.
+// Entries that were already notified or unsubscribed are reactivated, since signing up
+// again means the customer wants to hear about the next restock. With requireConfirmation
+// the entry stays "pending" until confirmSubscription() is called. `locale` is the language the
+// customer signed up in; their confirmation and restock emails use it.
+export async function subscribe({ variantId, email, source, locale, requireConfirmation = false }) {
+  const variantGid = normalizeVariantGid(variantId);
+  const key = subscriptionKey(variantGid, email);
+  const waitlist = getWaitlistStore();
+
+  const existing = await waitlist.get(key);
+  const waiting = existing?.status === STATUS.ACTIVE || existing?.status === STATUS.PENDING;
+  if (waiting && !isExpiredPending(existing)) {
+    return { subscription: existing, alreadySubscribed: true };
+  }
+
+  const subscription = await waitlist.put(key, {
+    variantId: variantGid,
+    email: normalizeEmail(email),
+    status: requireConfirmation ? STATUS.PENDING : STATUS.ACTIVE,
+    source: source || existing?.source || null,
+    locale: locale || existing?.locale || null,
+    createdAt: new Date().toISOString(),
+    confirmedAt: null,
+    notifiedAt: null,
+  });
+  return { subscription, alreadySubscribed: false };
+}
+
+// Activates a pending double opt-in entry. Returns { subscription, result } where result is
+// "confirmed", "already_confirmed", "expired" or "not_found" (also for entries that have since
+// been notified or unsubscribed).
+export async function confirmSubscription({ variantId, email }) {
+  const waitlist = getWaitlistStore();
+  const existing = await waitlist.get(subscriptionKey(variantId, email));
+  if (existing?.status === STATUS.ACTIVE) return { subscription: existing, result: "already_confirmed" };
+  if (existing?.status !== STATUS.PENDING) return { subscription: existing, result: "not_found" };
+  if (isExpiredPending(existing)) return { subscription: existing, result: "expired" };
+
+  const subscription = await waitlist.update(existing.id, {
+    status: STATUS.ACTIVE,
+    confirmedAt: new Date().toISOString(),
+  });
+  return { subscription, result: "confirmed" };
+}
+
+// Active subscribers for a variant, i.e. everyone still waiting to be told it's back.
+export async function listWaitingSubscribers(variantId) {
+  const entries = await getWaitlistStore().listByVariant(normalizeVariantGid(variantId));
+  return entries.filter((e) => e.status === STATUS.ACTIVE);
+}
+
+// Every entry in any status, for reporting (./report.js).
+export async function listAllSubscriptions() {
+  return getWaitlistStore().listAll();
+}
+
+export async function markNotified(subscriptionId) {
+  return getWaitlistStore().update(subscriptionId, {
+    status: STATUS.NOTIFIED,
+    notifiedAt: new Date().toISOString(),
+  });
+}
+
+// Undoes markNotified() for a restock email that was never sent, so the next restock retries it.
+export async function restoreWaiting(subscriptionId) {
+  return getWaitlistStore().update(subscriptionId, {
+    status: STATUS.ACTIVE,
+    notifiedAt: null,
+  });
+}
+
+// Stops restock emails for one (variant, email). Returns the updated entry, or null when there
+// was nothing to unsubscribe.
+export async function unsubscribe({ variantId, email }) {
+  const waitlist = getWaitlistStore();
+  const existing = await waitlist.get(subscriptionKey(variantId, email));
+  if (!existing) return null;
+  if (existing.status === STATUS.UNSUBSCRIBED) return existing;
+  return waitlist.update(existing.id, { status: STATUS.UNSUBSCRIBED });
+}
@@ -0,0 +1,135 @@
+// lib/waitlist/recommendations.js
+// Products to suggest in the "you're on the list" email while the customer waits.
+//
+// 1. Shopify productRecommendations (intent RELATED) for the subscribed product, through the
+//    Storefront API (SHOPIFY_STOREFRONT_TOKEN; skipped when it isn't set).
+// 2. Topped up from the collections in WAITLIST_RECOMMENDATION_COLLECTIONS (comma-separated
+//    handles, default "new-arrivals"), in that order, through the Admin API.
+//
+// The subscribed product and anything that can't be bought right now are left out. Each item is
+// { id, title, handle, url, featuredImage, price, compareAtPrice } with prices as
+// { amount, currencyCode }, ready for renderProductGrid(). Lookups that fail are logged and
+// skipped: the email goes out with fewer (or no) suggestions rather than not at all.
+
+import { shopifyGraphql, shopifyStorefrontGraphql, isStorefrontConfigured } from "../shopify.js";
+
+const RECOMMENDATION_LIMIT = Number(process.env.WAITLIST_RECOMMENDATION_LIMIT) || 4;
+const FALLBACK_COLLECTIONS = (process.env.WAITLIST_RECOMMENDATION_COLLECTIONS || "new-arrivals")
+  .split(",")
+  .map((h) => h.trim())
+  .filter(Boolean);
+// Fetch extra products per source, since some are filtered out
+const CANDIDATES_PER_SOURCE = RECOMMENDATION_LIMIT * 3;
+
+function money(value) {
+  return value?.amount != null ? { amount: value.amount, currencyCode: value.currencyCode } : null;
+}
+
+async function fetchRelatedProducts(productGid) {
+  const data = await shopifyStorefrontGraphql(
+    `
+      query RelatedProducts($productId: ID!) {
+        productRecommendations(productId: $productId, intent: RELATED) {
+          id
+          title
+          handle
+          onlineStoreUrl
+          availableForSale
+          featuredImage { url altText }
+          priceRange { minVariantPrice { amount currencyCode } }
+          compareAtPriceRange { minVariantPrice { amount currencyCode } }
+        }
+      }
+    `,
+    { productId: productGid }
+  );
+  return (data?.productRecommendations || []).map((p) => ({
+    id: p.id,
+    title: p.title,
+    handle: p.handle,
+    url: p.onlineStoreUrl || null,
+    featuredImage: p.featuredImage || null,
+    available: p.availableForSale,
+    price: money(p.priceRange?.minVariantPrice),
+    compareAtPrice: money(p.compareAtPriceRange?.minVariantPrice),
+  }));
+}
+
+async function fetchCollectionProducts(handles) {
+  if (!handles.length) return [];
+  const data = await shopifyGraphql(
+    `
+      query FallbackCollections($query: String!, $first: Int!, $perCollection: Int!) {
+        collections(first: $first, query: $query) {
+          nodes {
+            handle
+            products(first: $perCollection) {
+              nodes {
+                id
+                title
+                handle
+                status
+                onlineStoreUrl
+                totalInventory
+                tracksInventory
+                featuredImage { url altText }
+                priceRangeV2 { minVariantPrice { amount currencyCode } }
+                compareAtPriceRange { minVariantCompareAtPrice { amount currencyCode } }
+              }
+            }
+          }
+        }
+      }
+    `,
+    {
+      query: handles.map((h) => `handle:${JSON.stringify(h)}`).join(" OR "),
+      first: handles.length,
+      perCollection: CANDIDATES_PER_SOURCE,
+    }
+  );
+  // The search doesn't keep our order, so put the collections back in configured order
+  const byHandle = new Map((data?.collections?.nodes || []).map((c) => [c.handle, c]));
+  return handles.flatMap((handle) =>
+    (byHandle.get(handle)?.products?.nodes || []).map((p) => ({
+      id: p.id,
+      title: p.title,
+      handle: p.handle,
+      url: p.onlineStoreUrl || null,
+      featuredImage: p.featuredImage || null,
+      // Published, and either in stock or not inventory-tracked
+      available: p.status === "ACTIVE" && Boolean(p.onlineStoreUrl) && (!p.tracksInventory || p.totalInventory > 0),
+      price: money(p.priceRangeV2?.minVariantPrice),
+      compareAtPrice: money(p.compareAtPriceRange?.minVariantCompareAtPrice),
+    }))
+  );
+}
+
+async function fromSource(name, load) {
+  try {
+    return await load();
+  } catch (err) {
+    console.warn(`recommendations: ${name} lookup failed`, { error: err.message });
+    return [];
+  }
+}
+
+// Up to RECOMMENDATION_LIMIT available products related to `productGid`, excluding it.
+export async function fetchRecommendations(productGid) {
+  const picked = new Map();
+  const take = (items) => {
+    for (const item of items) {
+      if (picked.size >= RECOMMENDATION_LIMIT) return;
+      if (!item.available || item.id === productGid || picked.has(item.id)) continue;
+      const { available, ...product } = item;
+      picked.set(item.id, product);
+    }
+  };
+
+  if (productGid && isStorefrontConfigured()) {
+    take(await fromSource("productRecommendations", () => fetchRelatedProducts(productGid)));
+  }
+  if (picked.size < RECOMMENDATION_LIMIT) {
+    take(await fromSource("fallback collections", () => fetchCollectionProducts(FALLBACK_COLLECTIONS)));
+  }
+  return [...picked.values()];
+}
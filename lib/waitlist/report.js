@@ -0,0 +1,245 @@
+// lib/waitlist/report.js
+// Waitlist demand for merchandising (api/waitlist-report.js): how many people wait for each
+// variant and product, how signups trend over time, and how many notified subscribers bought.
+//
+// Status counts describe the waitlist as it is now; `signups` and the trend only cover the
+// requested window. Expired double opt-in entries are counted apart from pending ones.
+// A notified subscriber counts as converted when an order from the same email contains the
+// variant within WAITLIST_CONVERSION_DAYS (default 14) of the restock email. Orders are read back
+// no further than CONVERSION_LOOKBACK_DAYS, since the Admin API only serves the last 60 days
+// without read_all_orders.
+
+import { shopifyGraphql, shopifyGraphqlNodes } from "../shopify.js";
+import { listAllSubscriptions, normalizeEmail, isExpiredPending, STATUS } from "./index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONVERSION_DAYS = Number(process.env.WAITLIST_CONVERSION_DAYS) || 14;
+const CONVERSION_LOOKBACK_DAYS = 60;
+const VARIANTS_PER_REQUEST = 100;
+// The conversion query costs about orders × (1 + line items × 2) points; stay well under the
+// 1000 point limit per query. Line items past the first LINE_ITEMS_PER_ORDER aren't checked.
+const ORDERS_PER_PAGE = 25;
+const LINE_ITEMS_PER_ORDER = 10;
+
+export const INTERVALS = ["day", "week"];
+
+function emptyCounts() {
+  return { waiting: 0, pending: 0, expired: 0, notified: 0, converted: 0, unsubscribed: 0, total: 0, signups: 0 };
+}
+
+function addCounts(target, counts) {
+  for (const key of Object.keys(target)) {
+    if (typeof counts[key] === "number") target[key] += counts[key];
+  }
+}
+
+function statusKey(entry) {
+  if (entry.status === STATUS.PENDING) return isExpiredPending(entry) ? "expired" : "pending";
+  if (entry.status === STATUS.ACTIVE) return "waiting";
+  if (entry.status === STATUS.NOTIFIED) return "notified";
+  if (entry.status === STATUS.UNSUBSCRIBED) return "unsubscribed";
+  return null;
+}
+
+// Start of the day (UTC) or ISO week (Monday) containing `date`, as YYYY-MM-DD.
+function periodStart(date, interval) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+function emptyTrend(from, to, interval) {
+  const trend = new Map();
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    const period = periodStart(new Date(t), interval);
+    if (!trend.has(period)) trend.set(period, { period, signups: 0, notified: 0, converted: 0 });
+  }
+  return trend;
+}
+
+async function fetchVariantDetails(variantIds) {
+  const details = new Map();
+  for (let i = 0; i < variantIds.length; i += VARIANTS_PER_REQUEST) {
+    const data = await shopifyGraphql(
+      `
+        query WaitlistVariants($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on ProductVariant {
+              id
+              title
+              sku
+              inventoryQuantity
+              availableForSale
+              product { id title handle }
+            }
+          }
+        }
+      `,
+      { ids: variantIds.slice(i, i + VARIANTS_PER_REQUEST) }
+    );
+    for (const node of data?.nodes || []) {
+      if (node?.id) details.set(node.id, node);
+    }
+  }
+  return details;
+}
+
+// Map("email|variantGid" -> converted at) for notified entries with a matching order.
+async function findConversions(notifiedEntries, now) {
+  const conversions = new Map();
+  const lookbackStart = now.getTime() - CONVERSION_LOOKBACK_DAYS * DAY_MS;
+  const pending = new Map(
+    notifiedEntries
+      .filter((e) => e.notifiedAt && new Date(e.notifiedAt).getTime() >= lookbackStart)
+      .map((e) => [`${normalizeEmail(e.email)}|${e.variantId}`, new Date(e.notifiedAt).getTime()])
+  );
+  if (pending.size === 0) return conversions;
+
+  const since = new Date(Math.min(...pending.values())).toISOString();
+  const orders = shopifyGraphqlNodes(
+    `
+      query WaitlistConversions($query: String!, $first: Int!, $lineItems: Int!, $after: String) {
+        orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+          nodes {
+            createdAt
+            email
+            lineItems(first: $lineItems) {
+              nodes { variant { id } }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    { query: `created_at:>='${since}'`, first: ORDERS_PER_PAGE, lineItems: LINE_ITEMS_PER_ORDER },
+    (data) => data?.orders
+  );
+  for await (const order of orders) {
+    const orderedAt = new Date(order.createdAt).getTime();
+    for (const item of order.lineItems?.nodes || []) {
+      const key = `${normalizeEmail(order.email)}|${item.variant?.id}`;
+      const notifiedAt = pending.get(key);
+      if (notifiedAt === undefined || conversions.has(key)) continue;
+      if (orderedAt >= notifiedAt && orderedAt - notifiedAt <= CONVERSION_DAYS * DAY_MS) {
+        conversions.set(key, order.createdAt);
+      }
+    }
+  }
+  return conversions;
+}
+
+// Returns { generatedAt, window, totals, variants, products, trend }. Variants and products are
+// sorted by how many people are waiting, most wanted first.
+export async function buildDemandReport({ days = 30, interval = "day", now = new Date() } = {}) {
+  const from = new Date(now.getTime() - days * DAY_MS);
+  const entries = await listAllSubscriptions();
+  const conversions = await findConversions(
+    entries.filter((e) => e.status === STATUS.NOTIFIED),
+    now
+  );
+
+  const byVariant = new Map();
+  const trend = emptyTrend(from, now, interval);
+  const inWindow = (date) => date && new Date(date) >= from && new Date(date) <= now;
+  const bump = (date, field) => {
+    if (inWindow(date)) trend.get(periodStart(new Date(date), interval))[field] += 1;
+  };
+
+  for (const entry of entries) {
+    const key = statusKey(entry);
+    if (!key || !entry.variantId) continue;
+    if (!byVariant.has(entry.variantId)) {
+      byVariant.set(entry.variantId, { variantId: entry.variantId, ...emptyCounts(), lastSignupAt: null });
+    }
+    const row = byVariant.get(entry.variantId);
+    row[key] += 1;
+    row.total += 1;
+    if (inWindow(entry.createdAt)) row.signups += 1;
+    if (!row.lastSignupAt || entry.createdAt > row.lastSignupAt) row.lastSignupAt = entry.createdAt || null;
+
+    const convertedAt = conversions.get(`${normalizeEmail(entry.email)}|${entry.variantId}`);
+    if (key === "notified" && convertedAt) row.converted += 1;
+    bump(entry.createdAt, "signups");
+    if (key === "notified") bump(entry.notifiedAt, "notified");
+    if (key === "notified" && convertedAt) bump(convertedAt, "converted");
+  }
+
+  const details = await fetchVariantDetails([...byVariant.keys()]);
+  const variants = [...byVariant.values()].map((row) => {
+    const variant = details.get(row.variantId);
+    return {
+      variantId: row.variantId,
+      variantTitle: variant?.title || null,
+      sku: variant?.sku || null,
+      productId: variant?.product?.id || null,
+      productTitle: variant?.product?.title || null,
+      productHandle: variant?.product?.handle || null,
+      inventoryQuantity: variant?.inventoryQuantity ?? null,
+      // Deleted variants can't be bought either
+      outOfStock: !variant?.availableForSale,
+      ...row,
+    };
+  });
+  variants.sort((a, b) => b.waiting - a.waiting || b.signups - a.signups);
+
+  const byProduct = new Map();
+  for (const v of variants) {
+    const key = v.productId || v.variantId;
+    if (!byProduct.has(key)) {
+      byProduct.set(key, { productId: v.productId, productTitle: v.productTitle, variants: 0, ...emptyCounts() });
+    }
+    const product = byProduct.get(key);
+    product.variants += 1;
+    addCounts(product, v);
+  }
+  const products = [...byProduct.values()].sort((a, b) => b.waiting - a.waiting || b.signups - a.signups);
+
+  const totals = emptyCounts();
+  for (const v of variants) addCounts(totals, v);
+
+  return {
+    generatedAt: now.toISOString(),
+    window: { from: from.toISOString(), to: now.toISOString(), days, interval },
+    totals,
+    variants,
+    products,
+    trend: [...trend.values()],
+  };
+}
+
+// ---------- CSV ----------
+
+const CSV_COLUMNS = [
+  ["variant_id", "variantId"],
+  ["product_id", "productId"],
+  ["product_title", "productTitle"],
+  ["variant_title", "variantTitle"],
+  ["sku", "sku"],
+  ["inventory_quantity", "inventoryQuantity"],
+  ["out_of_stock", "outOfStock"],
+  ["waiting", "waiting"],
+  ["pending", "pending"],
+  ["expired", "expired"],
+  ["notified", "notified"],
+  ["converted", "converted"],
+  ["unsubscribed", "unsubscribed"],
+  ["total", "total"],
+  ["signups_in_window", "signups"],
+  ["last_signup_at", "lastSignupAt"],
+];
+
+function csvCell(value) {
+  let text = value == null ? "" : String(value);
+  // Keep spreadsheets from evaluating product titles as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per variant, in report order.
+export function demandReportCsv(report) {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(","),
+    ...report.variants.map((v) => CSV_COLUMNS.map(([, field]) => csvCell(v[field])).join(",")),
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,145 @@
+// lib/waitlist/restocks.js
+// Restock emails, split in two so the webhook answers well within Shopify's 5 second timeout.
+//
+// api/back-in-stock.js only calls queueRestock() for variants that came back while people were
+// waiting. api/maintenance.js calls processRestocks() on its frequent ?task=outbox run to email
+// them. Queued restocks are shop metafields (lib/job-state.js), one per variant, so concurrent
+// webhooks never overwrite each other's.
+//
+// Each subscriber is claimed (marked notified) before their email goes out, so a crash or a
+// timeout can't lead to a second email. Sends go through the outbox (lib/email/outbox), which
+// retries failures; only an email that could neither be sent nor queued puts the subscriber
+// back on the list.
+
+import { buildBackInStockEmail } from "../../email/back-in-stock.js";
+import { shopifyGraphql } from "../shopify.js";
+import { loadJobState, saveJobState, clearJobState, listJobStates } from "../job-state.js";
+import { buildUnsubscribeLink, LISTS } from "../unsubscribe.js";
+import { SHOP_DOMAIN } from "../email/index.js";
+import { sendOrQueueEmail } from "../email/outbox/index.js";
+import { listWaitingSubscribers, markNotified, restoreWaiting, normalizeVariantGid } from "./index.js";
+
+const RESTOCK_KEY_PREFIX = "restock_";
+
+function restockKey(variantGid) {
+  return `${RESTOCK_KEY_PREFIX}${normalizeVariantGid(variantGid).split("/").pop()}`;
+}
+
+// Returns true when the variant has people waiting and was queued (again), false otherwise.
+export async function queueRestock(variantGid) {
+  const variantId = normalizeVariantGid(variantGid);
+  const subscribers = await listWaitingSubscribers(variantId);
+  if (subscribers.length === 0) return false;
+  const key = restockKey(variantId);
+  // Keep the original time when another webhook queues the same restock
+  const existing = await loadJobState(key);
+  await saveJobState(key, { variantId, queuedAt: existing?.queuedAt || new Date().toISOString() });
+  return true;
+}
+
+async function fetchVariant(variantGid) {
+  const data = await shopifyGraphql(
+    `
+      query RestockedVariant($id: ID!) {
+        shop { currencyCode }
+        productVariant(id: $id) {
+          id
+          title
+          price
+          compareAtPrice
+          availableForSale
+          image { url altText }
+          product {
+            title
+            handle
+            onlineStoreUrl
+            featuredImage { url altText }
+          }
+        }
+      }
+    `,
+    { id: variantGid }
+  );
+  return { variant: data?.productVariant, currencyCode: data?.shop?.currencyCode };
+}
+
+async function sendRestockEmail({ email, locale, variant, currencyCode }) {
+  const unsubscribe = buildUnsubscribeLink({ email, list: LISTS.BACK_IN_STOCK, variantId: variant.id });
+  const { subject, html, text } = buildBackInStockEmail({
+    product: variant.product,
+    variant,
+    shopDomain: SHOP_DOMAIN,
+    currencyCode,
+    unsubscribeUrl: unsubscribe.url,
+    locale,
+  });
+  return sendOrQueueEmail({
+    to: email,
+    subject,
+    html,
+    text,
+    headers: unsubscribe.headers,
+    tags: { category: "back_in_stock" },
+  });
+}
+
+// Emails everyone waiting for the variant until `deadline`. Returns
+// { variantId, waiting, notified, queued, failed, complete, skipped? }.
+async function notifyVariant(variantGid, { deadline, dryRun }) {
+  const subscribers = await listWaitingSubscribers(variantGid);
+  const result = { variantId: variantGid, waiting: subscribers.length, notified: 0, queued: 0, failed: 0, complete: true };
+  if (subscribers.length === 0) return result;
+
+  const { variant, currencyCode } = await fetchVariant(variantGid);
+  // Sold out again (or deleted) before we got to it: subscribers wait for the next restock
+  if (!variant?.availableForSale) return { ...result, skipped: "not available" };
+  if (dryRun) return result;
+
+  for (const subscriber of subscribers) {
+    if (Date.now() >= deadline) {
+      result.complete = false;
+      break;
+    }
+    await markNotified(subscriber.id);
+    try {
+      const send = await sendRestockEmail({ email: subscriber.email, locale: subscriber.locale, variant, currencyCode });
+      // A queued email is the outbox's to deliver now
+      if (send.sent) result.notified++;
+      else result.queued++;
+    } catch (err) {
+      result.failed++;
+      console.error("restocks: notify failed", {
+        variantId: variantGid,
+        subscriberId: subscriber.id,
+        error: String(err.message || err),
+      });
+      await restoreWaiting(subscriber.id).catch((restoreErr) =>
+        console.error("restocks: could not put subscriber back on the list", {
+          subscriberId: subscriber.id,
+          error: String(restoreErr.message || restoreErr),
+        })
+      );
+    }
+  }
+  return result;
+}
+
+// Works through the queued restocks, oldest first, until `deadline` (ms timestamp). A restock
+// stays queued until all its subscribers were handled. With dryRun nothing is sent or cleared.
+// Returns { queued, variants, remaining } where variants lists notifyVariant() results.
+export async function processRestocks({ deadline = Infinity, dryRun = false } = {}) {
+  const restocks = (await listJobStates(RESTOCK_KEY_PREFIX))
+    .filter(({ state }) => state?.variantId)
+    .sort((a, b) => String(a.state.queuedAt).localeCompare(String(b.state.queuedAt)));
+  const result = { queued: restocks.length, variants: [], remaining: restocks.length };
+
+  for (const { key, state } of restocks) {
+    if (Date.now() >= deadline) break;
+    const outcome = await notifyVariant(state.variantId, { deadline, dryRun });
+    result.variants.push(outcome);
+    if (dryRun || !outcome.complete) continue;
+    await clearJobState(key);
+    result.remaining--;
+  }
+  return result;
+}
@@ -0,0 +1,135 @@
+// lib/waitlist/shopify-store.js
+// Waitlist adapter backed by Shopify metaobjects (production).
+//
+// Requires a metaobject definition of type "back_in_stock_subscription" with
+// single-line text fields: variant_id, email, status, source, locale, created_at, confirmed_at,
+// notified_at.
+// The subscription key is used as the metaobject handle, so writes are upserts.
+
+import { shopifyGraphql, shopifyGraphqlNodes, assertNoUserErrors } from "../shopify.js";
+
+const METAOBJECT_TYPE = "back_in_stock_subscription";
+
+const FIELD_KEYS = {
+  variantId: "variant_id",
+  email: "email",
+  status: "status",
+  source: "source",
+  locale: "locale",
+  createdAt: "created_at",
+  confirmedAt: "confirmed_at",
+  notifiedAt: "notified_at",
+};
+
+function toFields(entry) {
+  return Object.entries(FIELD_KEYS)
+    .filter(([prop]) => entry[prop] !== undefined)
+    .map(([prop, key]) => ({ key, value: entry[prop] == null ? "" : String(entry[prop]) }));
+}
+
+function fromMetaobject(node) {
+  if (!node) return null;
+  const fields = Object.fromEntries((node.fields || []).map((f) => [f.key, f.value]));
+  return {
+    id: node.id,
+    variantId: fields.variant_id,
+    email: fields.email,
+    status: fields.status,
+    source: fields.source || null,
+    locale: fields.locale || null,
+    createdAt: fields.created_at,
+    confirmedAt: fields.confirmed_at || null,
+    notifiedAt: fields.notified_at || null,
+  };
+}
+
+export function createShopifyWaitlistStore() {
+  return {
+    async get(key) {
+      const data = await shopifyGraphql(
+        `
+          query WaitlistEntry($handle: MetaobjectHandleInput!) {
+            metaobjectByHandle(handle: $handle) { id fields { key value } }
+          }
+        `,
+        { handle: { type: METAOBJECT_TYPE, handle: key } }
+      );
+      return fromMetaobject(data?.metaobjectByHandle);
+    },
+
+    async put(key, entry) {
+      const data = await shopifyGraphql(
+        `
+          mutation UpsertWaitlistEntry($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+            metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+              metaobject { id fields { key value } }
+              userErrors { field message code }
+            }
+          }
+        `,
+        {
+          handle: { type: METAOBJECT_TYPE, handle: key },
+          metaobject: { fields: toFields(entry) },
+        }
+      );
+      assertNoUserErrors("metaobjectUpsert", data?.metaobjectUpsert?.userErrors);
+      return fromMetaobject(data.metaobjectUpsert.metaobject);
+    },
+
+    async update(id, changes) {
+      const data = await shopifyGraphql(
+        `
+          mutation UpdateWaitlistEntry($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+            metaobjectUpdate(id: $id, metaobject: $metaobject) {
+              metaobject { id fields { key value } }
+              userErrors { field message code }
+            }
+          }
+        `,
+        { id, metaobject: { fields: toFields(changes) } }
+      );
+      assertNoUserErrors("metaobjectUpdate", data?.metaobjectUpdate?.userErrors);
+      return fromMetaobject(data.metaobjectUpdate.metaobject);
+    },
+
+    async listByVariant(variantGid) {
+      const entries = [];
+      const nodes = shopifyGraphqlNodes(
+        `
+          query WaitlistEntries($type: String!, $query: String, $after: String) {
+            metaobjects(type: $type, first: 250, after: $after, query: $query) {
+              edges { node { id fields { key value } } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        `,
+        { type: METAOBJECT_TYPE, query: `fields.variant_id:"${variantGid}"` },
+        (data) => data?.metaobjects
+      );
+      // The field filter narrows the page server-side; filter client-side as well to be safe.
+      for await (const node of nodes) {
+        const entry = fromMetaobject(node);
+        if (entry.variantId === variantGid) entries.push(entry);
+      }
+      return entries;
+    },
+
+    async listAll() {
+      const entries = [];
+      const nodes = shopifyGraphqlNodes(
+        `
+          query AllWaitlistEntries($type: String!, $after: String) {
+            metaobjects(type: $type, first: 250, after: $after) {
+              nodes { id fields { key value } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        `,
+        { type: METAOBJECT_TYPE },
+        (data) => data?.metaobjects
+      );
+      for await (const node of nodes) entries.push(fromMetaobject(node));
+      return entries;
+    },
+  };
+}
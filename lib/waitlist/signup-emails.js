@@ -0,0 +1,84 @@
+// lib/waitlist/signup-emails.js
+// Emails sent around a waitlist signup, shared by api/notify-interest.js and
+// api/confirm-subscription.js:
+//   sendOptInEmail      — double opt-in: "please confirm" with the signed confirmation link
+//   sendSubscribedEmail — "you're on the list", with related products to browse while waiting
+//                         (./recommendations.js)
+// Both take the signup's locale (see email/i18n.js) and go through the outbox (lib/email/outbox): they return sendOrQueueEmail()'s result and
+// only throw when the email could neither be sent nor queued.
+
+import { buildConfirmSubscriptionEmail } from "../../email/confirm-subscription.js";
+import { buildDoubleOptInEmail } from "../../email/double-opt-in.js";
+import { shopifyGraphql } from "../shopify.js";
+import { buildUnsubscribeLink, LISTS } from "../unsubscribe.js";
+import { SHOP_DOMAIN } from "../email/index.js";
+import { sendOrQueueEmail } from "../email/outbox/index.js";
+import { buildConfirmUrl } from "./confirmation.js";
+import { fetchRecommendations } from "./recommendations.js";
+import { CONFIRM_TTL_HOURS } from "./index.js";
+
+// Product + variant details for the signup emails; null when the variant doesn't exist.
+export async function fetchSignupVariant(variantGid) {
+  const data = await shopifyGraphql(
+    `
+      query SignupVariant($variantId: ID!) {
+        productVariant(id: $variantId) {
+          id
+          title
+          image { url altText }
+          product {
+            id
+            title
+            handle
+            onlineStoreUrl
+            featuredImage { url altText }
+          }
+        }
+      }
+    `,
+    { variantId: variantGid }
+  );
+  return data?.productVariant || null;
+}
+
+// firstName comes from the customer record (./customers.js), when there is one.
+export async function sendSubscribedEmail({ email, variantGid, variant, firstName, locale }) {
+  const recommendedProducts = await fetchRecommendations(variant.product?.id);
+  const unsubscribe = buildUnsubscribeLink({ email, list: LISTS.BACK_IN_STOCK, variantId: variantGid });
+  const { subject, html, text } = buildConfirmSubscriptionEmail({
+    firstName,
+    product: variant.product,
+    variant,
+    shopDomain: SHOP_DOMAIN,
+    recommendedProducts,
+    unsubscribeUrl: unsubscribe.url,
+    locale,
+  });
+  return sendOrQueueEmail({
+    to: email,
+    subject,
+    html,
+    text,
+    headers: unsubscribe.headers,
+    tags: { category: "waitlist_subscribed" },
+  });
+}
+
+export async function sendOptInEmail({ email, variantGid, variant, acceptsMarketing = false, locale }) {
+  const unsubscribe = buildUnsubscribeLink({ email, list: LISTS.BACK_IN_STOCK, variantId: variantGid });
+  const { subject, html, text } = buildDoubleOptInEmail({
+    product: variant.product,
+    confirmUrl: buildConfirmUrl({ variantId: variantGid, email, acceptsMarketing }),
+    confirmWithinHours: CONFIRM_TTL_HOURS,
+    unsubscribeUrl: unsubscribe.url,
+    locale,
+  });
+  return sendOrQueueEmail({
+    to: email,
+    subject,
+    html,
+    text,
+    headers: unsubscribe.headers,
+    tags: { category: "waitlist_opt_in" },
+  });
+}
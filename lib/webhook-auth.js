@@ -0,0 +1,114 @@
+// lib/webhook-auth.js
+// HMAC-SHA256 request verification with replay protection for webhook-style endpoints.
+//
+// Two signature schemes are accepted:
+//   Shopify webhooks — X-Shopify-Hmac-Sha256: base64(HMAC(secret, rawBody))
+//                      X-Shopify-Webhook-Id is the replay nonce. Redeliveries keep the original
+//                      X-Shopify-Triggered-At and Shopify retries for up to 48 hours, so that
+//                      header is only held to shopifyToleranceSeconds (default 48h).
+//   Custom Flow      — X-Flow-Timestamp: unix seconds
+//                      X-Flow-Signature: HMAC(secret, `${timestamp}.${rawBody}`), hex or base64,
+//                      optionally prefixed with "sha256=". The signature itself is the replay nonce.
+//
+// Each scheme takes a list of secrets (current first, then previous) so secrets can be
+// rotated without downtime.
+//
+// Seen IDs live in a Map in this module, kept for the scheme's tolerance window. That is per
+// serverless instance: a cold start or a request routed to another instance doesn't see
+// them, so replay protection is best-effort and handlers must stay idempotent on their own.
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const SHOPIFY_TOLERANCE_SECONDS = 48 * 60 * 60;
+
+const seenRequestIds = new Map(); // replay key -> expiry (ms)
+
+function pruneSeen(now) {
+  for (const [key, expiresAt] of seenRequestIds) {
+    if (expiresAt <= now) seenRequestIds.delete(key);
+  }
+}
+
+function decodeSignature(sent) {
+  const value = String(sent).trim().replace(/^sha256=/i, "");
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, "hex");
+  return Buffer.from(value, "base64");
+}
+
+function matchesAnySecret(secrets, signedPayload, sent) {
+  const received = decodeSignature(sent);
+  // Check every secret so timing doesn't reveal which one matched
+  let matched = false;
+  for (const secret of secrets) {
+    const expected = createHmac("sha256", secret).update(signedPayload, "utf8").digest();
+    if (received.length === expected.length && timingSafeEqual(received, expected)) matched = true;
+  }
+  return matched;
+}
+
+function isStale(timestampMs, toleranceSeconds, now) {
+  if (!Number.isFinite(timestampMs)) return true;
+  return Math.abs(now - timestampMs) > toleranceSeconds * 1000;
+}
+
+// Returns { ok: true, replayKey } or { ok: false, reason }. `toleranceSeconds` applies to the
+// Flow timestamp, `shopifyToleranceSeconds` to X-Shopify-Triggered-At.
+export function verifySignedRequest(
+  req,
+  rawBody,
+  {
+    shopifySecrets = [],
+    flowSecrets = [],
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+    shopifyToleranceSeconds = SHOPIFY_TOLERANCE_SECONDS,
+  } = {}
+) {
+  const now = Date.now();
+  pruneSeen(now);
+
+  const shopifySignature = req.headers["x-shopify-hmac-sha256"];
+  const flowSignature = req.headers["x-flow-signature"];
+  let replayKey = null;
+  let windowSeconds = toleranceSeconds;
+
+  if (shopifySignature) {
+    const secrets = shopifySecrets.filter(Boolean);
+    if (!secrets.length) return { ok: false, reason: "Shopify webhook secret not configured" };
+    if (!matchesAnySecret(secrets, rawBody, shopifySignature)) {
+      return { ok: false, reason: "Invalid signature" };
+    }
+    const triggeredAt = req.headers["x-shopify-triggered-at"];
+    if (triggeredAt && isStale(Date.parse(triggeredAt), shopifyToleranceSeconds, now)) {
+      return { ok: false, reason: "Stale timestamp" };
+    }
+    const webhookId = req.headers["x-shopify-webhook-id"];
+    if (webhookId) replayKey = `shopify:${webhookId}`;
+    windowSeconds = shopifyToleranceSeconds;
+  } else if (flowSignature) {
+    const secrets = flowSecrets.filter(Boolean);
+    if (!secrets.length) return { ok: false, reason: "Flow secret not configured" };
+    const timestamp = req.headers["x-flow-timestamp"];
+    if (!timestamp) return { ok: false, reason: "Missing timestamp" };
+    if (!matchesAnySecret(secrets, `${timestamp}.${rawBody}`, flowSignature)) {
+      return { ok: false, reason: "Invalid signature" };
+    }
+    if (isStale(Number(timestamp) * 1000, toleranceSeconds, now)) {
+      return { ok: false, reason: "Stale timestamp" };
+    }
+    replayKey = `flow:${decodeSignature(flowSignature).toString("hex")}`;
+  } else {
+    return { ok: false, reason: "Missing signature" };
+  }
+
+  if (replayKey) {
+    if (seenRequestIds.has(replayKey)) return { ok: false, reason: "Replayed request" };
+    seenRequestIds.set(replayKey, now + windowSeconds * 1000);
+  }
+  return { ok: true, replayKey };
+}
+
+// Lets a failed request be retried with the same webhook ID (Shopify redelivers on 5xx).
+export function releaseReplayKey(replayKey) {
+  if (replayKey) seenRequestIds.delete(replayKey);
+}
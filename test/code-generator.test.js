@@ -0,0 +1,54 @@
+// test/code-generator.test.js
+// Behaviour of lib/discounts/code-generator.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCodeGenerator, DEFAULT_ALPHABET } from "../lib/discounts/code-generator.js";
+
+test("generates prefixed codes of the configured length from the alphabet", () => {
+  const { generate } = createCodeGenerator({ prefix: "TEST-", length: 10 });
+  for (let i = 0; i < 50; i++) {
+    const code = generate();
+    assert.match(code, /^TEST-[A-Z2-9]{10}$/);
+    assert.ok([...code.slice(5)].every((c) => DEFAULT_ALPHABET.includes(c)), code);
+  }
+});
+
+test("leaves easily confused characters out of the default alphabet", () => {
+  for (const c of "01OIL") assert.equal(DEFAULT_ALPHABET.includes(c), false, c);
+});
+
+test("dedupes and upper-cases a custom alphabet", () => {
+  const { generate } = createCodeGenerator({ prefix: "", length: 20, alphabet: "abab" });
+  assert.match(generate(), /^[AB]{20}$/);
+});
+
+test("rejects alphabets and lengths that can't produce codes", () => {
+  assert.throws(() => createCodeGenerator({ alphabet: "aaa" }), /at least 2 distinct characters/);
+  assert.throws(() => createCodeGenerator({ length: 0 }), /positive integer/);
+  assert.throws(() => createCodeGenerator({ length: 2.5 }), /positive integer/);
+});
+
+// Luhn mod N as published: from the rightmost character, double every other code point.
+function luhnModN(body, alphabet) {
+  const n = alphabet.length;
+  let sum = 0;
+  [...body].reverse().forEach((c, i) => {
+    const addend = alphabet.indexOf(c) * (i % 2 === 0 ? 2 : 1);
+    sum += Math.floor(addend / n) + (addend % n);
+  });
+  return alphabet[(n - (sum % n)) % n];
+}
+
+test("appends a Luhn mod N check character when enabled", () => {
+  const { generate } = createCodeGenerator({ prefix: "MM-", length: 8, checkChar: true });
+  for (let i = 0; i < 50; i++) {
+    const code = generate();
+    assert.match(code, /^MM-[A-Z2-9]{9}$/);
+    assert.equal(code[11], luhnModN(code.slice(3, 11), DEFAULT_ALPHABET), code);
+  }
+});
+
+test("leaves the check character off by default", () => {
+  assert.match(createCodeGenerator({ prefix: "MM-", length: 8 }).generate(), /^MM-[A-Z2-9]{8}$/);
+});
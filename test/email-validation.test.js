@@ -0,0 +1,61 @@
+// test/email-validation.test.js
+// Behaviour of lib/email-validation.js. DISPOSABLE_EMAIL_DOMAINS is read at import time; each
+// test file runs in its own process, so setting it here doesn't leak into other files.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DISPOSABLE_EMAIL_DOMAINS = " Burner.Example , ,throwaway.test";
+const { validateEmail, isDisposableDomain } = await import("../lib/email-validation.js");
+
+const INVALID = { ok: false, reason: "Invalid email address" };
+const DISPOSABLE = { ok: false, reason: "Disposable email addresses are not accepted" };
+
+test("accepts ordinary addresses", () => {
+  for (const email of [
+    "parent@example.com",
+    " Parent.Name+kids@Mail.Example.co.uk ",
+    "o'brien@example.ie",
+    "a@b.co",
+    "x@xn--mgbh0fb.example",
+  ]) {
+    assert.deepEqual(validateEmail(email), { ok: true }, email);
+  }
+});
+
+test("rejects malformed addresses", () => {
+  for (const email of [
+    undefined,
+    "",
+    "parent",
+    "@example.com",
+    "parent@",
+    "parent@example",
+    "parent@@example.com",
+    "par ent@example.com",
+    ".parent@example.com",
+    "parent..name@example.com",
+    "parent@-example.com",
+    "parent@example..com",
+    "parent@127.0.0.1",
+    `${"a".repeat(65)}@example.com`,
+    `a@${"b".repeat(250)}.com`,
+  ]) {
+    assert.deepEqual(validateEmail(email), INVALID, String(email));
+  }
+});
+
+test("rejects disposable providers, their subdomains and configured extras", () => {
+  assert.deepEqual(validateEmail("kid@mailinator.com"), DISPOSABLE);
+  assert.deepEqual(validateEmail("kid@eu.MAILINATOR.com"), DISPOSABLE);
+  assert.deepEqual(validateEmail("kid@burner.example"), DISPOSABLE);
+  assert.deepEqual(validateEmail("kid@throwaway.test"), DISPOSABLE);
+});
+
+test("matches whole domain labels only", () => {
+  assert.equal(isDisposableDomain("notmailinator.com"), false);
+  assert.equal(isDisposableDomain("mailinator.com.example.org"), false);
+  assert.equal(isDisposableDomain("com"), false);
+  assert.equal(isDisposableDomain(undefined), false);
+  assert.equal(isDisposableDomain("a.b.yopmail.com"), true);
+});
@@ -0,0 +1,73 @@
+// test/html.test.js
+// Behaviour of email/html.js. Known hosts are read from the environment at import time; each
+// test file runs in its own process, so setting them here doesn't leak into other files.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SHOP = "mishmush-test.myshopify.com";
+process.env.APP_URL = "http://localhost:3000";
+process.env.EMAIL_ALLOWED_HOSTS = " images.example.com , ";
+const { html, raw, escapeHtml, isSafeUrl, safeUrl } = await import("../email/html.js");
+
+test("escapes every interpolated value", () => {
+  const name = `<script>alert("x")</script> & 'co'`;
+  assert.equal(
+    String(html`<p>${name}</p>`),
+    "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;co&#39;</p>"
+  );
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("keeps nested templates and raw() markup as they are", () => {
+  const price = raw("<s>$30.00</s> $25.00");
+  const item = html`<li>${"A & B"}</li>`;
+  assert.equal(String(html`<ul>${item}</ul><p>${price}</p>`), "<ul><li>A &amp; B</li></ul><p><s>$30.00</s> $25.00</p>");
+  assert.equal(String(raw(null)), "");
+});
+
+test("joins arrays and renders null, undefined and false as nothing", () => {
+  const rows = ["<a>", "b"].map((v) => html`<td>${v}</td>`);
+  assert.equal(String(html`${rows}|${null}|${undefined}|${false}|${0}`), "<td>&lt;a&gt;</td><td>b</td>||||0");
+});
+
+test("accepts https URLs on the shop's known hosts", () => {
+  for (const url of [
+    "https://mishmushkids.com/products/tee",
+    "https://WWW.mishmushkids.com/",
+    "https://cdn.shopify.com/s/files/tee.jpg",
+    "https://mishmush-test.myshopify.com/admin",
+    "https://localhost:3000/api/unsubscribe",
+    "https://images.example.com/a.png",
+  ]) {
+    assert.equal(isSafeUrl(url), true, url);
+  }
+});
+
+test("rejects unknown hosts, other schemes and malformed URLs", () => {
+  for (const url of [
+    "https://evil.example.com/",
+    "https://mishmushkids.com.evil.example.com/",
+    "javascript:alert(1)",
+    "data:text/html,hi",
+    "mailto:hello@mishmushkids.com",
+    "//mishmushkids.com/",
+    "not a url",
+    "",
+    null,
+  ]) {
+    assert.equal(isSafeUrl(url), false, String(url));
+  }
+});
+
+test("accepts plain http only for localhost and an http APP_URL host", () => {
+  assert.equal(isSafeUrl("http://localhost:3000/api/confirm-subscription?token=x"), true);
+  assert.equal(isSafeUrl("http://127.0.0.1/x"), true);
+  assert.equal(isSafeUrl("http://mishmushkids.com/products/tee"), false);
+  assert.equal(isSafeUrl("http://cdn.shopify.com/tee.jpg"), false);
+});
+
+test("safeUrl returns safe URLs and throws on the rest", () => {
+  assert.equal(safeUrl("https://mishmushkids.com/"), "https://mishmushkids.com/");
+  assert.throws(() => safeUrl("https://evil.example.com/"), /Refusing to render URL in email: https:\/\/evil\.example\.com\//);
+});
@@ -0,0 +1,178 @@
+// test/maintenance.test.js
+// Checkpointing in api/maintenance.js against a stubbed Shopify shop: one price rule campaign
+// whose codes come in three pages, with the clock moved forward on every page so the time
+// budget runs out part-way. Settings are read at import time; each test file runs in its own
+// process, so setting them here doesn't leak into other files.
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SHOP = "mishmush-test.myshopify.com";
+process.env.ADMIN_TOKEN = "shpat_test";
+process.env.PRICE_RULE_ID = "77";
+process.env.MAINTENANCE_TIME_BUDGET_MS = "1000";
+delete process.env.CRON_SECRET;
+delete process.env.SLACK_WEBHOOK_URL;
+delete process.env.RESEND_API_KEY; // no email transport: restocks and outbox retries are skipped
+const { default: handler } = await import("../api/maintenance.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_MS = 600; // clock time each page of codes takes
+const NOW = Date.parse("2026-03-11T12:00:00Z");
+const LIST_PATH = "/admin/api/2025-10/price_rules/77/discount_codes.json";
+
+const realFetch = globalThis.fetch;
+let shop; // { checkpoint, pages, deleted, pagesServed }
+
+function code(id, ageDays) {
+  return { id, code: `MISHMUSH-${id}`, usage_count: 0, created_at: new Date(NOW - ageDays * DAY_MS).toISOString() };
+}
+
+function pageUrl(page) {
+  return `https://${process.env.SHOP}${LIST_PATH}?limit=250${page > 1 ? `&page_info=p${page}` : ""}`;
+}
+
+function graphql(query, variables) {
+  if (query.includes("query ShopId")) return { shop: { id: "gid://shopify/Shop/1" } };
+  if (query.includes("query JobState")) {
+    return { shop: { metafield: shop.checkpoint && { value: JSON.stringify(shop.checkpoint) } } };
+  }
+  if (query.includes("mutation SaveJobState")) {
+    shop.checkpoint = JSON.parse(variables.metafields[0].value);
+    return { metafieldsSet: { userErrors: [] } };
+  }
+  if (query.includes("mutation ClearJobState")) {
+    shop.checkpoint = null;
+    return { metafieldsDelete: { userErrors: [] } };
+  }
+  if (query.includes("mutation DeletePriceRuleCodes")) {
+    shop.deleted.push(...variables.ids.map((gid) => gid.split("/").pop()));
+    return { discountCodeRedeemCodeBulkDelete: { job: { id: "job" }, userErrors: [] } };
+  }
+  throw new Error(`Unexpected query: ${query}`);
+}
+
+function mockShopify(t) {
+  globalThis.fetch = async (url, init) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname.endsWith("/graphql.json")) {
+      const { query, variables } = JSON.parse(init.body);
+      return Response.json({ data: graphql(query, variables) });
+    }
+    if (pathname === LIST_PATH) {
+      const page = Number(String(searchParams.get("page_info") || "p1").slice(1));
+      shop.pagesServed.push(page);
+      t.mock.timers.tick(PAGE_MS);
+      const headers = page < shop.pages.length ? { link: `<${pageUrl(page + 1)}>; rel="next"` } : {};
+      return Response.json({ discount_codes: shop.pages[page - 1] }, { headers });
+    }
+    throw new Error(`Unexpected request: ${url}`);
+  };
+}
+
+async function run(query = {}) {
+  let status;
+  let body;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(data) {
+      body = data;
+      return this;
+    },
+  };
+  await handler({ method: "GET", headers: {}, query }, res);
+  return { status, body };
+}
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+  t.mock.method(console, "log", () => {});
+  shop = {
+    checkpoint: null,
+    // Two expired codes and one recent code per page
+    pages: [1, 2, 3].map((p) => [code(`${p}1`, 30), code(`${p}2`, 20), code(`${p}3`, 1)]),
+    deleted: [],
+    pagesServed: [],
+  };
+  mockShopify(t);
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("saves a checkpoint when the time budget runs out and resumes from it", async () => {
+  const first = await run();
+  assert.equal(first.status, 200);
+  assert.equal(first.body.complete, false);
+  assert.equal(first.body.deleted, 4);
+  assert.deepEqual(shop.pagesServed, [1, 2]);
+  assert.equal(shop.checkpoint.cursor, pageUrl(3));
+  assert.equal(shop.checkpoint.deleted, 4);
+
+  const second = await run();
+  assert.equal(second.body.complete, true);
+  assert.equal(second.body.resumed, true);
+  assert.equal(second.body.deleted, 6, "counts the whole pass");
+  assert.equal(second.body.deletedThisInvocation, 2);
+  assert.deepEqual([second.body.statsAfter.total, second.body.statsAfter.unused], [3, 3], "the recent codes are left");
+  assert.deepEqual(shop.pagesServed, [1, 2, 3]);
+  assert.deepEqual(shop.deleted, ["11", "12", "21", "22", "31", "32"]);
+  assert.equal(shop.checkpoint, null, "a finished pass clears its checkpoint");
+});
+
+test("a resumed pass keeps the options it started with", async () => {
+  await run({ days: "25" });
+  const second = await run({ days: "5" });
+  assert.equal(second.body.options.retentionDays, 25);
+  assert.deepEqual(shop.deleted, ["11", "21", "31"]);
+});
+
+test("restart discards the checkpoint at once and starts a new pass", async () => {
+  await run();
+  shop.deleted = [];
+  shop.pagesServed = [];
+
+  const restarted = await run({ restart: "true" });
+  assert.equal(restarted.body.resumed, false);
+  assert.deepEqual(shop.pagesServed, [1, 2]);
+  assert.equal(shop.checkpoint.cursor, pageUrl(3), "the new pass's own checkpoint");
+
+  // A restart that finishes leaves no checkpoint behind for a later run to pick up
+  shop.pages = [shop.pages[0]];
+  const finished = await run({ restart: "true" });
+  assert.equal(finished.body.complete, true);
+  assert.equal(shop.checkpoint, null);
+  assert.equal((await run()).body.resumed, false);
+});
+
+test("the outbox task continues an unfinished pass", async () => {
+  await run();
+  const outbox = await run({ task: "outbox" });
+  assert.equal(outbox.status, 200);
+  assert.deepEqual(outbox.body.cleanup, { finished: true, deleted: 6, deletedThisInvocation: 2 });
+  assert.equal(shop.checkpoint, null);
+
+  // Without a checkpoint it leaves the codes alone
+  shop.pagesServed = [];
+  assert.equal((await run({ task: "outbox" })).body.cleanup, null);
+  assert.deepEqual(shop.pagesServed, []);
+});
+
+test("dry runs neither read nor write the checkpoint", async () => {
+  await run();
+  const checkpoint = shop.checkpoint;
+  shop.deleted = [];
+  shop.pagesServed = [];
+
+  const dry = await run({ dryRun: "true" });
+  assert.equal(dry.body.resumed, false);
+  assert.deepEqual(shop.pagesServed, [1, 2]);
+  assert.deepEqual(dry.body.wouldDelete.map((c) => c.code), ["MISHMUSH-11", "MISHMUSH-12", "MISHMUSH-21", "MISHMUSH-22"]);
+  assert.deepEqual(shop.deleted, []);
+  assert.deepEqual(shop.checkpoint, checkpoint);
+  assert.equal((await run({ task: "outbox", dryRun: "true" })).body.cleanup, null);
+});
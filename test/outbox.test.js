@@ -0,0 +1,209 @@
+// test/outbox.test.js
+// Behaviour of lib/email/outbox on the file store, sending through the Resend transport against
+// a stubbed API. Settings are read at import time; each test file runs in its own process, so
+// setting them here doesn't leak into other files.
+
+import { test, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "outbox-test-"));
+process.env.EMAIL_TRANSPORT = "resend";
+process.env.RESEND_API_KEY = "re_test";
+process.env.EMAIL_OUTBOX_STORE = "file";
+process.env.EMAIL_OUTBOX_FILE = join(dir, "outbox.json");
+process.env.EMAIL_OUTBOX_MAX_ATTEMPTS = "3";
+process.env.EMAIL_OUTBOX_BACKOFF_MINUTES = "5";
+const { sendOrQueueEmail, retryOutbox, getOutboxStore, OUTBOX_STATUS } = await import("../lib/email/outbox/index.js");
+
+const MINUTE = 60 * 1000;
+const realFetch = globalThis.fetch;
+let resendUp = true;
+let sentTo = [];
+
+function message(to) {
+  return { to, subject: `Hello ${to}`, html: "<p>Hi</p>", text: "Hi" };
+}
+
+async function readOutbox() {
+  return Object.values(JSON.parse(await readFile(process.env.EMAIL_OUTBOX_FILE, "utf8")));
+}
+
+beforeEach(async (t) => {
+  await rm(process.env.EMAIL_OUTBOX_FILE, { force: true });
+  resendUp = true;
+  sentTo = [];
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  globalThis.fetch = async (url, { body }) => {
+    if (!resendUp) return new Response("unavailable", { status: 503 });
+    sentTo.push(JSON.parse(body).to);
+    return Response.json({ id: `re_${sentTo.length}` });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("sends straight away when the transport works, without touching the outbox", async () => {
+  assert.deepEqual(await sendOrQueueEmail(message("a@example.com")), { sent: true, id: "re_1", transport: "resend" });
+  assert.deepEqual(sentTo, ["a@example.com"]);
+  assert.deepEqual(await getOutboxStore().listByStatus(OUTBOX_STATUS.FAILED), []);
+});
+
+test("queues a failed send with the error and a backed-off next attempt", async () => {
+  resendUp = false;
+  const before = Date.now();
+  const result = await sendOrQueueEmail(message("a@example.com"));
+  assert.equal(result.sent, false);
+  assert.equal(result.queued, true);
+  assert.match(result.error, /^Resend 503: unavailable/);
+
+  const [entry] = await readOutbox();
+  assert.equal(entry.id, result.outboxId);
+  assert.equal(entry.status, OUTBOX_STATUS.FAILED);
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.message.to, "a@example.com");
+  assert.ok(Date.parse(entry.nextAttemptAt) >= before + 5 * MINUTE);
+});
+
+test("retries only due entries and records their delivery", async (t) => {
+  resendUp = false;
+  await sendOrQueueEmail(message("due@example.com"));
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 2 * MINUTE });
+  await sendOrQueueEmail(message("later@example.com"));
+  t.mock.timers.tick(4 * MINUTE);
+
+  resendUp = true;
+  const result = await retryOutbox();
+  assert.deepEqual(
+    result.delivered.map((e) => [e.to, e.attempts]),
+    [["due@example.com", 2]]
+  );
+  assert.deepEqual(sentTo, ["due@example.com"]);
+
+  const byTo = Object.fromEntries((await readOutbox()).map((e) => [e.message.to, e]));
+  assert.equal(byTo["due@example.com"].status, OUTBOX_STATUS.SENT);
+  assert.ok(byTo["due@example.com"].sentAt);
+  assert.equal(byTo["later@example.com"].status, OUTBOX_STATUS.FAILED);
+});
+
+test("backs off exponentially and gives up after the maximum attempts", async (t) => {
+  resendUp = false;
+  t.mock.timers.enable({ apis: ["Date"], now: 1_700_000_000_000 });
+  await sendOrQueueEmail(message("a@example.com"));
+
+  t.mock.timers.tick(5 * MINUTE);
+  const second = await retryOutbox();
+  assert.deepEqual(second.failed.map((e) => e.attempts), [2]);
+  assert.equal((await readOutbox())[0].nextAttemptAt, new Date(Date.now() + 10 * MINUTE).toISOString());
+
+  t.mock.timers.tick(9 * MINUTE);
+  assert.deepEqual(await retryOutbox(), { due: [], delivered: [], failed: [], dead: [] });
+
+  t.mock.timers.tick(MINUTE);
+  const third = await retryOutbox();
+  assert.deepEqual(third.dead.map((e) => [e.to, e.attempts]), [["a@example.com", 3]]);
+  const [entry] = await readOutbox();
+  assert.equal(entry.status, OUTBOX_STATUS.DEAD);
+  assert.equal(entry.nextAttemptAt, null);
+  assert.match(entry.lastError, /^Resend 503/);
+});
+
+test("dry runs list due entries without sending", async (t) => {
+  resendUp = false;
+  await sendOrQueueEmail(message("a@example.com"));
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 5 * MINUTE });
+  resendUp = true;
+
+  const result = await retryOutbox({ dryRun: true });
+  assert.deepEqual(result.due.map((e) => e.to), ["a@example.com"]);
+  assert.deepEqual(sentTo, []);
+  assert.equal((await readOutbox())[0].status, OUTBOX_STATUS.FAILED);
+});
+
+test("stops at the deadline and leaves the rest for the next run", async (t) => {
+  resendUp = false;
+  await sendOrQueueEmail(message("a@example.com"));
+  await sendOrQueueEmail(message("b@example.com"));
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 5 * MINUTE });
+  resendUp = true;
+
+  const result = await retryOutbox({ deadline: Date.now() });
+  assert.equal(result.due.length, 2);
+  assert.deepEqual(result.delivered, []);
+  assert.deepEqual(sentTo, []);
+});
+
+test("a store error on one entry doesn't hold up the others", async (t) => {
+  resendUp = false;
+  await sendOrQueueEmail(message("a@example.com"));
+  await sendOrQueueEmail(message("b@example.com"));
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 5 * MINUTE });
+  resendUp = true;
+
+  // Recording a's delivery fails once
+  const store = getOutboxStore();
+  const update = store.update;
+  let failed = false;
+  t.mock.method(store, "update", async (id, changes) => {
+    if (changes.status === OUTBOX_STATUS.SENT && !failed) {
+      failed = true;
+      throw new Error("Shopify API 502");
+    }
+    return update.call(store, id, changes);
+  });
+
+  const result = await retryOutbox();
+  assert.deepEqual(result.delivered.map((e) => e.to).sort(), ["a@example.com", "b@example.com"]);
+  assert.deepEqual(sentTo.sort(), ["a@example.com", "b@example.com"]);
+
+  // The claim keeps a from going out twice; once it times out a is reported, not resent
+  t.mock.timers.tick(5 * MINUTE);
+  assert.deepEqual((await retryOutbox()).dead, []);
+  t.mock.timers.tick(5 * MINUTE);
+  const later = await retryOutbox();
+  assert.deepEqual(later.dead.map((e) => e.to), ["a@example.com"]);
+  assert.match(later.dead[0].lastError, /^Delivery unknown/);
+  assert.equal(sentTo.length, 2);
+});
+
+test("skips entries another run has claimed", async (t) => {
+  resendUp = false;
+  const { outboxId } = await sendOrQueueEmail(message("a@example.com"));
+  await sendOrQueueEmail(message("b@example.com"));
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 5 * MINUTE });
+  resendUp = true;
+
+  // Another run's claim lands between this run's claim and its check
+  const store = getOutboxStore();
+  const get = store.get;
+  t.mock.method(store, "get", async (id) => {
+    const entry = await get.call(store, id);
+    return id === outboxId ? { ...entry, claimedBy: "other-run" } : entry;
+  });
+
+  const result = await retryOutbox();
+  assert.deepEqual(result.delivered.map((e) => e.to), ["b@example.com"]);
+  assert.deepEqual(sentTo, ["b@example.com"]);
+});
+
+test("leaves entries alone while a running retry holds their claim", async (t) => {
+  resendUp = false;
+  const { outboxId } = await sendOrQueueEmail(message("a@example.com"));
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 5 * MINUTE });
+  resendUp = true;
+  await getOutboxStore().update(outboxId, {
+    status: OUTBOX_STATUS.SENDING,
+    claimedBy: "other-run",
+    nextAttemptAt: new Date(Date.now() + MINUTE).toISOString(),
+  });
+
+  assert.deepEqual(await retryOutbox(), { due: [], delivered: [], failed: [], dead: [] });
+  assert.deepEqual(sentTo, []);
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
@@ -0,0 +1,73 @@
+// test/rate-limit.test.js
+// Behaviour of lib/rate-limit. rateLimit() runs on the Upstash adapter against a stubbed REST
+// API; the store is picked from the environment at import time, and each test file runs in its
+// own process, so setting it here doesn't leak into other files.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.RATE_LIMIT_STORE = "upstash";
+process.env.UPSTASH_REDIS_REST_URL = "https://redis.example.com/";
+process.env.UPSTASH_REDIS_REST_TOKEN = "token";
+const { rateLimit } = await import("../lib/rate-limit/index.js");
+const { createMemoryRateLimitStore } = await import("../lib/rate-limit/memory-store.js");
+
+const realFetch = globalThis.fetch;
+const counters = new Map(); // key -> count; expiries aren't simulated
+
+function stubRedis() {
+  globalThis.fetch = async (url, { body, headers }) => {
+    assert.equal(url, "https://redis.example.com/pipeline");
+    assert.equal(headers.Authorization, "Bearer token");
+    const [[, key], [, , windowMs]] = JSON.parse(body);
+    counters.set(key, (counters.get(key) || 0) + 1);
+    return Response.json([{ result: counters.get(key) }, { result: 1 }, { result: Number(windowMs) }]);
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("allows requests up to the limit, then asks the client to retry later", async () => {
+  stubRedis();
+  const hit = () => rateLimit({ key: "ip:203.0.113.7", limit: 2, windowMs: 60_000 });
+
+  assert.deepEqual(await hit(), { allowed: true, remaining: 1, retryAfterSeconds: 60 });
+  assert.deepEqual(await hit(), { allowed: true, remaining: 0, retryAfterSeconds: 60 });
+  assert.deepEqual(await hit(), { allowed: false, remaining: 0, retryAfterSeconds: 60 });
+  assert.equal(counters.get("ratelimit:ip:203.0.113.7"), 3);
+});
+
+test("counts each key separately", async () => {
+  stubRedis();
+  await rateLimit({ key: "email:a@example.com", limit: 1, windowMs: 1000 });
+  assert.equal((await rateLimit({ key: "email:b@example.com", limit: 1, windowMs: 1000 })).allowed, true);
+  assert.equal((await rateLimit({ key: "email:a@example.com", limit: 1, windowMs: 1000 })).allowed, false);
+});
+
+test("allows the request when the store is unavailable", async (t) => {
+  t.mock.method(console, "error", () => {});
+  globalThis.fetch = async () => new Response("down", { status: 503 });
+  assert.deepEqual(await rateLimit({ key: "ip:198.51.100.1", limit: 1, windowMs: 1000 }), {
+    allowed: true,
+    remaining: 1,
+    retryAfterSeconds: 0,
+  });
+  globalThis.fetch = async () => {
+    throw new TypeError("fetch failed");
+  };
+  assert.equal((await rateLimit({ key: "ip:198.51.100.1", limit: 1, windowMs: 1000 })).allowed, true);
+});
+
+test("the memory store counts hits per key and starts over once the window ends", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  const store = createMemoryRateLimitStore();
+
+  assert.deepEqual(await store.hit("k", 1000), { count: 1, resetAt: 1_001_000 });
+  assert.deepEqual(await store.hit("k", 1000), { count: 2, resetAt: 1_001_000 });
+  assert.deepEqual(await store.hit("other", 1000), { count: 1, resetAt: 1_001_000 });
+
+  t.mock.timers.tick(1000);
+  assert.deepEqual(await store.hit("k", 1000), { count: 1, resetAt: 1_002_000 });
+});
@@ -0,0 +1,193 @@
+// test/report.test.js
+// Behaviour of lib/waitlist/report.js on the file waitlist store, with Shopify stubbed. Settings
+// are read at import time; each test file runs in its own process, so setting them here doesn't
+// leak into other files.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "report-test-"));
+process.env.SHOP = "mishmush-test.myshopify.com";
+process.env.ADMIN_TOKEN = "shpat_test";
+process.env.WAITLIST_STORE = "file";
+process.env.WAITLIST_FILE = join(dir, "waitlist.json");
+const { buildDemandReport, demandReportCsv } = await import("../lib/waitlist/report.js");
+
+const NOW = new Date("2026-03-11T12:00:00Z"); // a Wednesday
+const V1 = "gid://shopify/ProductVariant/1";
+const V2 = "gid://shopify/ProductVariant/2";
+const V3 = "gid://shopify/ProductVariant/3"; // deleted from the shop
+
+const ENTRIES = [
+  [V1, "a@example.com", "active", "2026-03-10T09:00:00Z"],
+  [V1, "b@example.com", "active", "2026-02-01T09:00:00Z"], // before the window
+  [V1, "c@example.com", "pending", "2026-03-11T06:00:00Z"],
+  [V1, "d@example.com", "pending", "2026-03-01T00:00:00Z"], // expired confirmation
+  [V1, "e@example.com", "notified", "2026-02-20T09:00:00Z", "2026-03-05T10:00:00Z"],
+  [V1, "f@example.com", "notified", "2026-02-26T10:00:00Z", "2026-03-05T10:00:00Z"],
+  [V2, "g@example.com", "unsubscribed", "2026-01-10T09:00:00Z"],
+  [V2, "h@example.com", "active", "2026-03-03T09:00:00Z"],
+  [V3, "i@example.com", "active", "2026-03-09T00:00:00Z"],
+];
+
+const VARIANTS = {
+  [V1]: { id: V1, title: "2T", sku: "TEE-2T", inventoryQuantity: 0, availableForSale: false, product: { id: "gid://shopify/Product/10", title: "Tee", handle: "tee" } },
+  [V2]: { id: V2, title: "3T", sku: "TEE-3T", inventoryQuantity: 3, availableForSale: true, product: { id: "gid://shopify/Product/10", title: "Tee", handle: "tee" } },
+};
+
+const ORDER_PAGES = [
+  [
+    // Bought another variant than the one they waited for
+    { createdAt: "2026-03-06T08:00:00Z", email: "e@example.com", lineItems: { nodes: [{ variant: { id: V2 } }] } },
+    { createdAt: "2026-03-07T08:00:00Z", email: "F@Example.com", lineItems: { nodes: [{ variant: null }, { variant: { id: V1 } }] } },
+  ],
+  [{ createdAt: "2026-03-08T08:00:00Z", email: "f@example.com", lineItems: { nodes: [{ variant: { id: V1 } }] } }],
+];
+
+const realFetch = globalThis.fetch;
+const ordersQueries = [];
+
+before(async () => {
+  const file = {};
+  ENTRIES.forEach(([variantId, email, status, createdAt, notifiedAt = null], i) => {
+    file[`sub-${i}`] = { id: `sub-${i}`, variantId, email, status, createdAt, notifiedAt };
+  });
+  await writeFile(process.env.WAITLIST_FILE, JSON.stringify(file), "utf8");
+
+  globalThis.fetch = async (url, { body }) => {
+    const { query, variables } = JSON.parse(body);
+    if (query.includes("WaitlistVariants")) {
+      return Response.json({ data: { nodes: variables.ids.map((id) => VARIANTS[id] || null) } });
+    }
+    if (query.includes("WaitlistConversions")) {
+      ordersQueries.push(variables);
+      const page = variables.after ? 1 : 0;
+      return Response.json({
+        data: {
+          orders: {
+            nodes: ORDER_PAGES[page],
+            pageInfo: { hasNextPage: page === 0, endCursor: page === 0 ? "cursor-1" : null },
+          },
+        },
+      });
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function weeklyReport(t) {
+  // Expired confirmations are judged against the clock
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+  return buildDemandReport({ days: 14, interval: "week", now: NOW });
+}
+
+test("counts each variant's subscribers by status, most wanted first", async (t) => {
+  const report = await weeklyReport(t);
+  assert.deepEqual(report.window, { from: "2026-02-25T12:00:00.000Z", to: "2026-03-11T12:00:00.000Z", days: 14, interval: "week" });
+
+  const [v1, v2, v3] = report.variants;
+  assert.deepEqual(
+    v1,
+    {
+      variantId: V1,
+      variantTitle: "2T",
+      sku: "TEE-2T",
+      productId: "gid://shopify/Product/10",
+      productTitle: "Tee",
+      productHandle: "tee",
+      inventoryQuantity: 0,
+      outOfStock: true,
+      waiting: 2,
+      pending: 1,
+      expired: 1,
+      notified: 2,
+      converted: 1,
+      unsubscribed: 0,
+      total: 6,
+      signups: 4,
+      lastSignupAt: "2026-03-11T06:00:00Z",
+    }
+  );
+  assert.deepEqual([v2.variantId, v2.waiting, v2.unsubscribed, v2.outOfStock, v2.inventoryQuantity], [V2, 1, 1, false, 3]);
+  // A deleted variant has no details and can't be bought
+  assert.deepEqual([v3.variantId, v3.productId, v3.variantTitle, v3.outOfStock], [V3, null, null, true]);
+});
+
+test("counts a conversion once, for the variant waited for, from the notification on", async (t) => {
+  const report = await weeklyReport(t);
+  assert.equal(report.totals.converted, 1);
+  assert.deepEqual(ordersQueries.at(-1), {
+    query: "created_at:>='2026-03-05T10:00:00.000Z'",
+    // Small pages keep the query cost under Shopify's limit
+    first: 25,
+    lineItems: 10,
+    after: "cursor-1",
+  });
+});
+
+test("rolls variants up into products and totals", async (t) => {
+  const report = await weeklyReport(t);
+  assert.deepEqual(
+    report.products.map((p) => [p.productId, p.variants, p.waiting, p.total, p.signups]),
+    [
+      ["gid://shopify/Product/10", 2, 3, 8, 5],
+      [null, 1, 1, 1, 1],
+    ]
+  );
+  assert.deepEqual(report.totals, {
+    waiting: 4,
+    pending: 1,
+    expired: 1,
+    notified: 2,
+    converted: 1,
+    unsubscribed: 1,
+    total: 9,
+    signups: 6,
+  });
+});
+
+test("buckets the trend by ISO week, including empty weeks in the window", async (t) => {
+  const report = await weeklyReport(t);
+  assert.deepEqual(report.trend, [
+    { period: "2026-02-23", signups: 2, notified: 0, converted: 0 },
+    { period: "2026-03-02", signups: 1, notified: 2, converted: 1 },
+    { period: "2026-03-09", signups: 3, notified: 0, converted: 0 },
+  ]);
+
+  const daily = await buildDemandReport({ days: 2, interval: "day", now: NOW });
+  assert.deepEqual(
+    daily.trend.map((p) => [p.period, p.signups]),
+    [
+      ["2026-03-09", 0], // the window starts at 12:00
+      ["2026-03-10", 1],
+      ["2026-03-11", 1],
+    ]
+  );
+});
+
+test("exports one CSV row per variant with a header row", async (t) => {
+  const csv = demandReportCsv(await weeklyReport(t));
+  const lines = csv.split("\r\n");
+  assert.equal(
+    lines[0],
+    "variant_id,product_id,product_title,variant_title,sku,inventory_quantity,out_of_stock,waiting,pending,expired,notified,converted,unsubscribed,total,signups_in_window,last_signup_at"
+  );
+  assert.equal(lines[1], `${V1},gid://shopify/Product/10,Tee,2T,TEE-2T,0,true,2,1,1,2,1,0,6,4,2026-03-11T06:00:00Z`);
+  assert.equal(lines.length, 5);
+  assert.equal(lines[4], "");
+});
+
+test("quotes CSV cells and keeps spreadsheets from running formulas", () => {
+  const csv = demandReportCsv({
+    variants: [{ variantId: "v", productTitle: 'Tee, "classic"', variantTitle: "=HYPERLINK(1)", sku: "-5", inventoryQuantity: null }],
+  });
+  assert.equal(csv.split("\r\n")[1], `v,,"Tee, ""classic""",'=HYPERLINK(1),'-5,,,,,,,,,,,`);
+});
@@ -0,0 +1,65 @@
+// test/signed-token.test.js
+// Behaviour of lib/signed-token.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { createSignedToken, verifySignedToken } from "../lib/signed-token.js";
+
+const DATA = { email: "parent@example.com", list: "marketing" };
+
+function forge(payload, secret) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encoded}.${createHmac("sha256", secret).update(encoded).digest("base64url")}`;
+}
+
+test("round-trips the payload with its purpose", () => {
+  const token = createSignedToken("unsubscribe", DATA, "secret");
+  assert.deepEqual(verifySignedToken("unsubscribe", token, ["secret"]), { purpose: "unsubscribe", ...DATA });
+});
+
+test("accepts tokens signed with a previous secret during rotation", () => {
+  const token = createSignedToken("unsubscribe", DATA, "previous");
+  assert.equal(verifySignedToken("unsubscribe", token, ["current", "previous"])?.email, DATA.email);
+  assert.equal(verifySignedToken("unsubscribe", token, ["current"]), null);
+});
+
+test("rejects a token minted for another purpose", () => {
+  const token = createSignedToken("confirm_subscription", DATA, "secret");
+  assert.equal(verifySignedToken("unsubscribe", token, ["secret"]), null);
+});
+
+test("rejects tampered payloads and signatures", () => {
+  const token = createSignedToken("unsubscribe", DATA, "secret");
+  const [payload, signature] = token.split(".");
+  const tampered = Buffer.from(JSON.stringify({ purpose: "unsubscribe", ...DATA, email: "someone@else.com" })).toString("base64url");
+
+  assert.equal(verifySignedToken("unsubscribe", `${tampered}.${signature}`, ["secret"]), null);
+  assert.equal(verifySignedToken("unsubscribe", `${payload}.${signature.slice(0, -2)}`, ["secret"]), null);
+  assert.equal(verifySignedToken("unsubscribe", `${payload}.${signature}.extra`, ["secret"]), null);
+});
+
+test("rejects malformed tokens and empty secrets", () => {
+  for (const token of [undefined, null, "", "no-dot", ".sig", "payload."]) {
+    assert.equal(verifySignedToken("unsubscribe", token, ["secret"]), null, String(token));
+  }
+  // An unset secret must never verify a token signed with an empty key
+  assert.equal(verifySignedToken("unsubscribe", forge({ purpose: "unsubscribe" }, ""), ["", null]), null);
+  // A correctly signed payload that isn't JSON
+  const notJson = Buffer.from("not json").toString("base64url");
+  const signature = createHmac("sha256", "secret").update(notJson).digest("base64url");
+  assert.equal(verifySignedToken("unsubscribe", `${notJson}.${signature}`, ["secret"]), null);
+});
+
+test("expires tokens after expiresInSeconds", () => {
+  const fresh = createSignedToken("confirm_subscription", DATA, "secret", { expiresInSeconds: 60 });
+  const data = verifySignedToken("confirm_subscription", fresh, ["secret"]);
+  assert.ok(data.exp > Date.now() / 1000);
+
+  const expired = forge({ purpose: "confirm_subscription", ...DATA, exp: Math.floor(Date.now() / 1000) - 1 }, "secret");
+  assert.equal(verifySignedToken("confirm_subscription", expired, ["secret"]), null);
+});
+
+test("refuses to mint a token without a secret", () => {
+  assert.throws(() => createSignedToken("unsubscribe", DATA, ""), /No secret configured for unsubscribe tokens/);
+});
@@ -0,0 +1,63 @@
+// test/unsubscribe.test.js
+// Behaviour of lib/unsubscribe.js. Secrets and APP_URL are read at import time; each test file
+// runs in its own process, so setting them here doesn't leak into other files.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+
+process.env.UNSUBSCRIBE_SECRET = "current";
+process.env.UNSUBSCRIBE_SECRET_PREVIOUS = "previous";
+process.env.APP_URL = "https://discount.example.com/";
+const { LISTS, createUnsubscribeToken, verifyUnsubscribeToken, buildUnsubscribeLink, missingUnsubscribeConfig } = await import(
+  "../lib/unsubscribe.js"
+);
+
+const RECIPIENT = { email: " Parent@Example.com ", list: LISTS.BACK_IN_STOCK, variantId: "gid://shopify/ProductVariant/42" };
+
+function forge(payload, secret) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encoded}.${createHmac("sha256", secret).update(encoded).digest("base64url")}`;
+}
+
+test("round-trips the recipient with a normalised email", () => {
+  const data = verifyUnsubscribeToken(createUnsubscribeToken(RECIPIENT));
+  assert.equal(data.email, "parent@example.com");
+  assert.equal(data.list, LISTS.BACK_IN_STOCK);
+  assert.equal(data.variantId, RECIPIENT.variantId);
+  assert.equal(data.customerId, null);
+});
+
+test("accepts links signed with the previous secret", () => {
+  const token = forge({ purpose: "unsubscribe", email: "parent@example.com", list: LISTS.MARKETING }, "previous");
+  assert.equal(verifyUnsubscribeToken(token)?.list, LISTS.MARKETING);
+  const unknown = forge({ purpose: "unsubscribe", email: "parent@example.com", list: LISTS.MARKETING }, "other");
+  assert.equal(verifyUnsubscribeToken(unknown), null);
+});
+
+test("rejects edited, malformed and unknown-list tokens", () => {
+  const [, signature] = createUnsubscribeToken(RECIPIENT).split(".");
+  const edited = Buffer.from(JSON.stringify({ purpose: "unsubscribe", email: "someone@else.com", list: LISTS.MARKETING })).toString(
+    "base64url"
+  );
+  assert.equal(verifyUnsubscribeToken(`${edited}.${signature}`), null);
+
+  for (const token of [undefined, "", "abc", "a.b.c"]) assert.equal(verifyUnsubscribeToken(token), null, String(token));
+  assert.equal(verifyUnsubscribeToken(forge({ purpose: "unsubscribe", email: "a@b.co", list: "everything" }, "current")), null);
+  assert.throws(() => createUnsubscribeToken({ ...RECIPIENT, list: "everything" }), /Unknown unsubscribe list "everything"/);
+});
+
+test("builds the footer link and one-click headers on APP_URL", () => {
+  const { url, headers } = buildUnsubscribeLink(RECIPIENT);
+  assert.match(url, /^https:\/\/discount\.example\.com\/api\/unsubscribe\?token=[\w%.-]+$/);
+  const token = new URL(url).searchParams.get("token");
+  assert.equal(verifyUnsubscribeToken(token)?.email, "parent@example.com");
+  assert.deepEqual(headers, {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  });
+});
+
+test("reports no missing config once the secret and APP_URL are set", () => {
+  assert.deepEqual(missingUnsubscribeConfig(), []);
+});
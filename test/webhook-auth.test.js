@@ -0,0 +1,121 @@
+// test/webhook-auth.test.js
+// Behaviour of lib/webhook-auth.js. Seen IDs are module state, so every test uses its own IDs.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac, randomUUID } from "crypto";
+import { verifySignedRequest, releaseReplayKey } from "../lib/webhook-auth.js";
+
+const BODY = JSON.stringify({ id: 1, available: 3 });
+const HOUR_MS = 60 * 60 * 1000;
+
+function shopifyRequest(body, secret, { webhookId = randomUUID(), triggeredAt = new Date().toISOString() } = {}) {
+  return {
+    headers: {
+      "x-shopify-hmac-sha256": createHmac("sha256", secret).update(body).digest("base64"),
+      "x-shopify-webhook-id": webhookId,
+      "x-shopify-triggered-at": triggeredAt,
+    },
+  };
+}
+
+function flowRequest(body, secret, { timestamp = Math.floor(Date.now() / 1000), encoding = "hex", prefix = "" } = {}) {
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest(encoding);
+  return { headers: { "x-flow-signature": `${prefix}${signature}`, "x-flow-timestamp": String(timestamp) } };
+}
+
+test("accepts a Shopify webhook signed with the current secret", () => {
+  const result = verifySignedRequest(shopifyRequest(BODY, "current", { webhookId: "w-current" }), BODY, {
+    shopifySecrets: ["current", "previous"],
+  });
+  assert.deepEqual(result, { ok: true, replayKey: "shopify:w-current" });
+});
+
+test("accepts a Shopify webhook signed with the previous secret during rotation", () => {
+  const result = verifySignedRequest(shopifyRequest(BODY, "previous"), BODY, {
+    shopifySecrets: ["current", "previous"],
+  });
+  assert.equal(result.ok, true);
+});
+
+test("rejects a wrong signature and a modified body", () => {
+  const req = shopifyRequest(BODY, "other");
+  assert.deepEqual(verifySignedRequest(req, BODY, { shopifySecrets: ["current"] }), {
+    ok: false,
+    reason: "Invalid signature",
+  });
+  const signed = shopifyRequest(BODY, "current");
+  assert.equal(verifySignedRequest(signed, `${BODY} `, { shopifySecrets: ["current"] }).reason, "Invalid signature");
+});
+
+test("rejects requests without a signature or without a configured secret", () => {
+  assert.equal(verifySignedRequest({ headers: {} }, BODY, { shopifySecrets: ["current"] }).reason, "Missing signature");
+  assert.equal(
+    verifySignedRequest(shopifyRequest(BODY, "current"), BODY, { shopifySecrets: ["", null] }).reason,
+    "Shopify webhook secret not configured"
+  );
+});
+
+test("rejects a replayed webhook ID until the key is released", () => {
+  const options = { shopifySecrets: ["current"] };
+  const first = verifySignedRequest(shopifyRequest(BODY, "current", { webhookId: "w-replay" }), BODY, options);
+  assert.equal(first.ok, true);
+  assert.deepEqual(verifySignedRequest(shopifyRequest(BODY, "current", { webhookId: "w-replay" }), BODY, options), {
+    ok: false,
+    reason: "Replayed request",
+  });
+
+  // A handler that failed lets Shopify's redelivery through
+  releaseReplayKey(first.replayKey);
+  assert.equal(verifySignedRequest(shopifyRequest(BODY, "current", { webhookId: "w-replay" }), BODY, options).ok, true);
+});
+
+test("accepts Shopify redeliveries that keep the original trigger time", () => {
+  const triggeredAt = new Date(Date.now() - 6 * HOUR_MS).toISOString();
+  const result = verifySignedRequest(shopifyRequest(BODY, "current", { triggeredAt }), BODY, {
+    shopifySecrets: ["current"],
+    toleranceSeconds: 300,
+  });
+  assert.equal(result.ok, true);
+});
+
+test("rejects Shopify webhooks triggered outside the Shopify tolerance", () => {
+  const triggeredAt = new Date(Date.now() - 49 * HOUR_MS).toISOString();
+  assert.equal(
+    verifySignedRequest(shopifyRequest(BODY, "current", { triggeredAt }), BODY, { shopifySecrets: ["current"] }).reason,
+    "Stale timestamp"
+  );
+  assert.equal(
+    verifySignedRequest(shopifyRequest(BODY, "current", { triggeredAt: new Date(Date.now() - 2 * HOUR_MS).toISOString() }), BODY, {
+      shopifySecrets: ["current"],
+      shopifyToleranceSeconds: 3600,
+    }).reason,
+    "Stale timestamp"
+  );
+});
+
+test("accepts Flow signatures in hex, base64 and with a sha256= prefix", () => {
+  for (const [encoding, prefix] of [["hex", ""], ["base64", ""], ["hex", "sha256="]]) {
+    // Same body and second would be the same signature, i.e. a replay
+    const body = JSON.stringify({ encoding, prefix });
+    const result = verifySignedRequest(flowRequest(body, "flow", { encoding, prefix }), body, { flowSecrets: ["flow"] });
+    assert.equal(result.ok, true, `${prefix}${encoding}`);
+    assert.match(result.replayKey, /^flow:[0-9a-f]{64}$/);
+  }
+});
+
+test("rejects a Flow request with a stale or missing timestamp", () => {
+  const stale = flowRequest(BODY, "flow", { timestamp: Math.floor(Date.now() / 1000) - 600 });
+  assert.equal(verifySignedRequest(stale, BODY, { flowSecrets: ["flow"] }).reason, "Stale timestamp");
+
+  const missing = flowRequest(BODY, "flow");
+  delete missing.headers["x-flow-timestamp"];
+  assert.equal(verifySignedRequest(missing, BODY, { flowSecrets: ["flow"] }).reason, "Missing timestamp");
+});
+
+test("rejects a replayed Flow signature", () => {
+  const body = JSON.stringify({ flow: "replay" });
+  const req = flowRequest(body, "flow");
+  assert.equal(verifySignedRequest(req, body, { flowSecrets: ["flow"] }).ok, true);
+  assert.equal(verifySignedRequest(req, body, { flowSecrets: ["flow"] }).reason, "Replayed request");
+});